@@ -28,7 +28,7 @@ fi
 # ELSE we need to download the latest 1FPGA release and install it.
 
 # Download the release.
-curl --insecure --fail-with-body -L "https://catalog.1fpga.cloud/stable/releases/1fpga/latest/one_fpga" -o /media/fat/one_fpga || (
+curl --insecure --fail-with-body -L "https://catalog.1fpga.cloud/stable/releases/1fpga/latest/mister-de10/one_fpga" -o /media/fat/one_fpga || (
   echo "Failed to download 1FPGA."
   read -r -p "Press enter to reboot."
   reboot
@@ -1,40 +1,45 @@
-/// Build the `db.json.zip` file.
-import * as crypto from 'node:crypto';
+/// Build the `db.json.zip` file, the MiSTer Downloader database.
 import { createWriteStream } from 'node:fs';
 import fs from 'node:fs/promises';
 import archiver from 'archiver';
 import * as toml from 'toml';
+import { addCatalogFiles, checkDownloaderDb, hashLocalFiles } from '../../src/downloader.js';
 
 /**
- * Calculate the size and md5 of a file.
- * @param path The path to the file.
- * @returns {Promise<(number|string)[]>} The size and md5 of the file.
+ * Read `db.toml`.
+ * @param {import('../../src/build-context.js').BuildContext} ctx
+ * @returns {Promise<Record>}
  */
-async function calculateSizeAndMd5(path) {
-    const stat = await fs.stat(path);
-    const size = stat.size;
-    const sha256 = crypto.createHash('md5').update(await fs.readFile(path)).digest('hex');
-    return [size, sha256];
+async function readDb(ctx) {
+    return toml.parse(await fs.readFile(ctx.source('db.toml'), 'utf8'));
 }
 
 /**
- *
- * @param {function(string, string?): Promise<void>} copy The function to copy files from source to dest.
- * @param {string} dest The destination folder for these files, absolute.
+ * Complete the database from `db.toml`, check it and write it zipped.
+ * @param {import('../../src/build-context.js').BuildContext} ctx
+ * @param {boolean} withCatalog Whether to add files from the built catalog.
  */
-export async function build(copy, dest) {
-    const db = toml.parse(await fs.readFile('db.toml', 'utf8'));
+async function writeDb(ctx, withCatalog) {
+    const db = await readDb(ctx);
+    const catalog = db.catalog;
+    delete db.catalog;
 
     // Update timestamp
     db.timestamp = Math.floor(Date.now() / 1000.0);
 
-    // Update the db with MD5 and size.
-    const [size, md5sum] = await calculateSizeAndMd5('Scripts/1fpga.sh');
-    db.files['Scripts/1fpga.sh'].hash = md5sum;
-    db.files['Scripts/1fpga.sh'].size = size;
+    // Update the db with MD5 and size of the files next to `db.toml`.
+    await hashLocalFiles(db, ctx.sourceDir);
+    if (catalog && withCatalog) {
+        await addCatalogFiles(db, catalog, ctx.distRoot);
+    }
+
+    const issues = checkDownloaderDb(db);
+    if (issues.length > 0) {
+        throw ctx.error(`Invalid downloader database:\n${issues.map(i => `    ${i}`).join('\n')}`, {file: 'db.toml'});
+    }
 
     await new Promise((resolve, reject) => {
-        const output = createWriteStream(`${dest}/db.json.zip`);
+        const output = createWriteStream(ctx.output('db.json.zip'));
         const archive = archiver('zip', { zlib: { level: 9 } });
 
         output.on('close', resolve);
@@ -45,7 +50,28 @@ export async function build(copy, dest) {
         archive.append(JSON.stringify(db), { name: 'db.json' });
         archive.finalize();
     });
+}
+
+/**
+ * @param {import('../../src/build-context.js').BuildContext} ctx
+ */
+export async function build(ctx) {
+    // With a `[catalog]` table, the database is written once the catalog is built.
+    if (!(await readDb(ctx)).catalog) {
+        await writeDb(ctx, false);
+    }
 
     // Copy other files.
-    await copy('Scripts');
+    await ctx.copy('Scripts');
+    ctx.output('Scripts');
+}
+
+/**
+ * Called once the catalog is built.
+ * @param {import('../../src/build-context.js').BuildContext} ctx
+ */
+export async function afterCatalog(ctx) {
+    if ((await readDb(ctx)).catalog) {
+        await writeDb(ctx, true);
+    }
 }
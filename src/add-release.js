@@ -0,0 +1,253 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as toml from 'toml';
+import {UNIQUE_NAME_RE, validate, ValidationError} from './validate.js';
+import {compareVersions, parseVersion} from './versions.js';
+
+// Add a release of a core from an `.rbf` file (a local path or an URL): copy the file to the
+// core's releases folder, add the release to the core TOML, move the `latest` tag to it, and
+// create the core (its TOML and its entry in `cores.toml`) if it doesn't exist yet.
+//
+// The version is taken from the MiSTer file name convention (`NES_20250101.rbf`) unless
+// `--version` is given. The other options are only used when creating a core.
+//
+// Usage: npm run add-release -- [--channel stable] [--version YYYYMMDD] [--name "Core Name"]
+//            [--description "..."] [--system nes]... [--tag tag]... <core> <file.rbf|url>
+
+const USAGE = 'Usage: npm run add-release -- [--channel stable] [--version YYYYMMDD] [--name "Core Name"] '
+    + '[--description "..."] [--system nes]... [--tag tag]... <core> <file.rbf|url>';
+
+/** MiSTer cores are named `<Name>_<YYYYMMDD>.rbf`. */
+const MISTER_FILE_RE = /^(?<name>.+?)_(?<version>\d{8})\.rbf$/i;
+
+const SOURCE_ROOT = path.join(process.cwd(), 'files');
+
+/**
+ * Quote a string as a TOML basic string.
+ * @param {string} s
+ * @returns {string}
+ */
+function quote(s) {
+    return JSON.stringify(s);
+}
+
+/**
+ * Read a file, or return `null` if it doesn't exist.
+ * @param {string} p
+ * @returns {Promise<string|null>}
+ */
+async function readText(p) {
+    try {
+        return await fs.readFile(p, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Remove the `latest` tag from every release of a core TOML. The TOML is edited as text to
+ * keep its comments and formatting.
+ * @param {string} text The content of the core TOML.
+ * @returns {string}
+ */
+function removeLatestTag(text) {
+    let inReleases = false;
+    return text.split('\n').flatMap(line => {
+        if (/^\s*\[/.test(line)) {
+            inReleases = /^\s*\[\[releases]]/.test(line);
+            return [line];
+        }
+        const m = /^(?<indent>\s*)tags\s*=\s*(?<value>\[.*])\s*$/.exec(line);
+        if (!inReleases || !m) {
+            return [line];
+        }
+        let tags;
+        try {
+            tags = toml.parse(`tags = ${m.groups.value}`).tags;
+        } catch (_) {
+            // Not a single-line array; the validation reports what is wrong with it.
+            return [line];
+        }
+        if (!Array.isArray(tags)) {
+            return [line];
+        }
+        tags = tags.filter(t => t !== 'latest');
+        return tags.length > 0 ? [`${m.groups.indent}tags = [${tags.map(quote).join(', ')}]`] : [];
+    }).join('\n');
+}
+
+/**
+ * Render a release of a core as TOML.
+ * @param {string} version
+ * @param {string} url The URL of the file, relative to the core TOML.
+ * @returns {string}
+ */
+function releaseToml(version, url) {
+    return [
+        '[[releases]]',
+        `version = ${quote(version)}`,
+        'tags = ["latest"]',
+        '',
+        '[[releases.files]]',
+        'type = "mister.core.rbf"',
+        `url = ${quote(url)}`,
+        'size = 0 # Updated by the build system.',
+        'sha256 = "" # Updated by the build system.',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Copy (or download) the release file.
+ * @param {string} source A local path or an URL.
+ * @param {string} dest
+ */
+async function fetchFile(source, dest) {
+    await fs.mkdir(path.dirname(dest), {recursive: true});
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Could not download ${source}: ${response.status} ${response.statusText}`);
+        }
+        await fs.writeFile(dest, Buffer.from(await response.arrayBuffer()), {flag: 'wx'});
+    } else {
+        await fs.copyFile(source, dest, fs.constants.COPYFILE_EXCL);
+    }
+}
+
+const args = process.argv.slice(2);
+const positional = [];
+const options = {channel: null, version: null, name: null, description: null, systems: [], tags: []};
+
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--channel':
+        case '--version':
+        case '--name':
+        case '--description':
+            options[args[i].slice(2)] = args[++i];
+            break;
+        case '--system':
+            options.systems.push(args[++i]);
+            break;
+        case '--tag':
+            options.tags.push(args[++i]);
+            break;
+        default:
+            positional.push(args[i]);
+    }
+}
+
+if (positional.length !== 2 || Object.values(options).includes(undefined)) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+const [core, source] = positional;
+if (!UNIQUE_NAME_RE.test(core)) {
+    console.error(`Invalid core name ${JSON.stringify(core)}: use lowercase letters, digits, "-" and "_" (e.g. mister-nes).`);
+    process.exit(1);
+}
+const fileName = decodeURIComponent(path.posix.basename(source.replace(/[?#].*$/, '')));
+const m = MISTER_FILE_RE.exec(fileName);
+const version = options.version ?? m?.groups.version;
+if (!version) {
+    console.error(`Could not find the version in ${JSON.stringify(fileName)}; use --version.`);
+    process.exit(1);
+}
+try {
+    parseVersion(version);
+} catch (e) {
+    console.error(e.message);
+    process.exit(1);
+}
+
+const catalog = toml.parse(await fs.readFile(path.join(SOURCE_ROOT, 'catalog.toml'), 'utf8'));
+const channel = options.channel ?? catalog.defaultChannel;
+if (!Object.hasOwn(catalog.channels ?? {}, channel)) {
+    console.error(`Unknown channel ${JSON.stringify(channel)}.`);
+    process.exit(1);
+}
+
+const channelDir = path.join(SOURCE_ROOT, channel);
+const coresPath = path.join(channelDir, 'cores.toml');
+const corePath = path.join(channelDir, 'cores', `${core}.toml`);
+const coresText = await readText(coresPath);
+const coreText = await readText(corePath);
+const coreData = coreText === null ? null : toml.parse(coreText);
+
+if (coreData?.releases?.some(r => compareVersions(r.version, version) === 0)) {
+    console.error(`${core} already has a release ${version}.`);
+    process.exit(1);
+}
+
+// Keep the file name of the previous releases (e.g. `nes.rbf`), or derive it from the name.
+const previousUrl = coreData?.releases?.[0]?.files?.[0]?.url;
+const destName = previousUrl ? path.posix.basename(previousUrl) : `${(m?.groups.name ?? core).toLowerCase()}.rbf`;
+const destPath = path.join(channelDir, 'cores', 'releases', core, version, destName);
+
+// Remember what was there before, to restore it if the result doesn't validate.
+const created = [];
+const restore = async () => {
+    for (const p of created.reverse()) {
+        await fs.rm(p, {recursive: true, force: true});
+    }
+    for (const [p, text] of [[coresPath, coresText], [corePath, coreText]]) {
+        if (text !== null) {
+            await fs.writeFile(p, text, 'utf8');
+        }
+    }
+};
+
+try {
+    // The version folder is new unless a previous attempt left it there.
+    if (await readText(destPath) !== null) {
+        throw new Error(`${path.relative(process.cwd(), destPath)} already exists.`);
+    }
+    let newDir = null;
+    for (let dir = path.dirname(destPath); !await fs.stat(dir).catch(() => null); dir = path.dirname(dir)) {
+        newDir = dir;
+    }
+    if (newDir !== null) {
+        created.push(newDir);
+    }
+    await fetchFile(source, destPath);
+
+    const release = releaseToml(version, `./releases/${core}/${version}/${destName}`);
+    if (coreText === null) {
+        created.push(corePath);
+        await fs.writeFile(corePath, [
+            `name = ${quote(options.name ?? m?.groups.name ?? core)}`,
+            `uniqueName = ${quote(core)}`,
+            `description = ${quote(options.description ?? '')}`,
+            `systems = [${options.systems.map(quote).join(', ')}]`,
+            `tags = [${options.tags.map(quote).join(', ')}]`,
+            '',
+            release,
+        ].join('\n'), 'utf8');
+    } else {
+        await fs.writeFile(corePath, `${removeLatestTag(coreText).trimEnd()}\n\n${release}`, 'utf8');
+    }
+
+    if (!Object.hasOwn(coresText === null ? {} : toml.parse(coresText), core)) {
+        if (coresText === null) {
+            created.push(coresPath);
+        }
+        const entry = `[${core}]\nurl = ${quote(`./cores/${core}.json`)}\nversion = ""\n`;
+        await fs.writeFile(coresPath, coresText ? `${coresText.trimEnd()}\n\n${entry}` : entry, 'utf8');
+    }
+
+    await validate(SOURCE_ROOT);
+} catch (e) {
+    await restore();
+    if (e instanceof ValidationError) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    throw e;
+}
+
+console.log(`Added ${core} ${version} (${path.relative(process.cwd(), destPath)}).`);
@@ -0,0 +1,196 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import cliProgress from 'cli-progress';
+import {hashFile} from './cache.js';
+import {compareVersions, dateVersion, maxVersion, parseVersion} from './versions.js';
+
+/**
+ * The API of `_build.js` scripts. A source folder with a `_build.js` file is not copied to
+ * `dist/` as is: the build imports the script and calls its exports with a `BuildContext`.
+ *
+ * - `build(ctx)` (required) writes the files of the folder. It runs once every other file
+ *   is copied, so it can read the documents of `dist/` (converted from TOML, not built yet).
+ * - `afterCatalog(ctx)` (optional) runs once the catalog is built, e.g. to list its files.
+ * - `inputs` (optional) lists the files outside the folder the script reads, relative to the
+ *   folder. In incremental builds, `build()` only runs again when its folder, its inputs or
+ *   the build scripts changed.
+ *
+ * Scripts never change the current directory or the environment: every path goes through
+ * the context, so scripts run concurrently. They fail by throwing, preferably errors made
+ * with `ctx.error()`; the errors of every script are reported together by the build.
+ */
+
+/**
+ * An error of a `_build.js` script, about one of its files.
+ */
+export class BuildScriptError extends Error {
+    /**
+     * @param {string} message
+     * @param {{file?: string, path?: string}} [location] The file the error is about (relative
+     *        to the source root), and the path of the error in it (e.g. `games[2].media`).
+     */
+    constructor(message, location = {}) {
+        super(message);
+        this.name = 'BuildScriptError';
+        this.file = location.file;
+        this.path = location.path ?? '';
+    }
+}
+
+/**
+ * Where the output of scripts goes: log lines, and progress bars when the output is a
+ * terminal. Bars of concurrent scripts are shown together.
+ * @typedef {Object} Reporter
+ * @property {function(string): void} log
+ * @property {function(number, string): {increment: function(number=): void, stop: function(): void}} progress
+ * @property {function(): void} stop Stop every bar.
+ */
+
+/**
+ * Create the reporter of a build.
+ * @returns {Reporter}
+ */
+export function createReporter() {
+    if (!process.stdout.isTTY) {
+        return {
+            log: (line) => console.log(line),
+            progress: () => ({increment: () => {}, stop: () => {}}),
+            stop: () => {},
+        };
+    }
+
+    let bars = null;
+    return {
+        log: (line) => bars ? bars.log(`${line}\n`) : console.log(line),
+        progress: (total, label) => {
+            bars ??= new cliProgress.MultiBar({
+                format: '{label} [{bar}] {percentage}% | {value}/{total}',
+                clearOnComplete: false,
+            }, cliProgress.Presets.shades_classic);
+            const bar = bars.create(total, 0, {label});
+            return {increment: (n = 1) => bar.increment(n), stop: () => bar.stop()};
+        },
+        stop: () => {
+            bars?.stop();
+            bars = null;
+        },
+    };
+}
+
+/**
+ * The context a `_build.js` script is called with.
+ * @typedef {Object} BuildContext
+ * @property {string} sourceRoot The root of the source files (containing `catalog.toml`).
+ * @property {string} distRoot The `dist/` folder.
+ * @property {string} sourceDir The folder of the script.
+ * @property {string} destDir The folder of `dist/` the files of the script go to.
+ * @property {string|null} channel The channel the script is in (its first folder), if any.
+ * @property {function(...string): string} source Resolve a path relative to `sourceDir`.
+ * @property {function(...string): string} dest Resolve a path relative to `destDir`.
+ * @property {function(string, string=): Promise<string>} copy Copy (and convert, like the rest
+ *           of the sources) a file or folder, relative to `sourceDir`, to `destDir` or to a
+ *           path relative to it. Returns the destination path.
+ * @property {function(string): string} output Declare a file or folder, relative to
+ *           `destDir`, that the script publishes for something other than the catalog (e.g.
+ *           the Downloader database). Declared outputs must exist once the script returns,
+ *           and are not reported as orphans by the verification of `dist/`.
+ * @property {Set<string>} outputs The outputs declared so far, as absolute paths.
+ * @property {{info: function(string): void, warn: function(string): void}} log
+ * @property {function(number, string=): {increment: function(number=): void, stop: function(): void}} progress
+ *           Start a progress bar for `total` items.
+ * @property {function(string, string=): Promise<string>} hash The hex digest of a file
+ *           (`sha256` by default).
+ * @property {{compare: typeof compareVersions, max: typeof maxVersion, parse: typeof parseVersion, date: typeof dateVersion}} versions
+ * @property {function(string): Promise<*>} readDocument Read a JSON document of `dist/`, by
+ *           path relative to `destDir` (or absolute).
+ * @property {function(): Promise<Record>} readCatalog Read the root `catalog.json` of `dist/`.
+ * @property {function(string, {file?: string, path?: string}=): BuildScriptError} error
+ *           Create an error about a file of the script (`file` is relative to `sourceDir`,
+ *           the script itself by default).
+ */
+
+/**
+ * Create the context of a `_build.js` script.
+ * @param {Object} options
+ * @param {string} options.sourceRoot
+ * @param {string} options.distRoot
+ * @param {string} options.sourceDir The folder of the script.
+ * @param {string} options.destDir The folder its files go to.
+ * @param {function(string, string=): Promise<string>} options.copy Copy a file or folder,
+ *        relative to the source root, to a path of `dist/` (absolute).
+ * @param {Reporter} options.reporter
+ * @returns {BuildContext}
+ */
+export function createBuildContext({sourceRoot, distRoot, sourceDir, destDir, copy, reporter}) {
+    const name = path.relative(sourceRoot, sourceDir).split(path.sep).join('/');
+    const channel = path.relative(distRoot, destDir).split(path.sep)[0] || null;
+    const outputs = new Set();
+    const dest = (...p) => path.resolve(destDir, ...p);
+
+    return {
+        sourceRoot,
+        distRoot,
+        sourceDir,
+        destDir,
+        channel,
+        source: (...p) => path.resolve(sourceDir, ...p),
+        dest,
+        copy: (src, maybeDest) => copy(path.relative(sourceRoot, path.resolve(sourceDir, src)), dest(maybeDest ?? src)),
+        output: (p) => {
+            outputs.add(dest(p));
+            return dest(p);
+        },
+        outputs,
+        log: {
+            info: (message) => reporter.log(`[${name}] ${message}`),
+            warn: (message) => console.warn(`[${name}] ${message}`),
+        },
+        progress: (total, label = name) => reporter.progress(total, label),
+        hash: (p, algorithm) => hashFile(p, algorithm),
+        versions: {compare: compareVersions, max: maxVersion, parse: parseVersion, date: dateVersion},
+        readDocument: async (p) => JSON.parse(await fs.readFile(dest(p), 'utf8')),
+        readCatalog: async () => JSON.parse(await fs.readFile(path.join(distRoot, 'catalog.json'), 'utf8')),
+        error: (message, {file = '_build.js', path: p} = {}) => new BuildScriptError(message, {
+            file: path.relative(sourceRoot, path.resolve(sourceDir, file)).split(path.sep).join('/'),
+            path: p,
+        }),
+    };
+}
+
+/**
+ * Check that the declared outputs of a script exist.
+ * @param {BuildContext} ctx
+ * @throws {BuildScriptError} If one is missing.
+ */
+export async function checkOutputs(ctx) {
+    for (const o of ctx.outputs) {
+        if (!await fs.stat(o).catch(() => null)) {
+            throw ctx.error(`declared output ${JSON.stringify(path.relative(ctx.destDir, o))} was not written`);
+        }
+    }
+}
+
+/**
+ * Run scripts concurrently, and turn their failures into validation issues.
+ * @param {{ctx: BuildContext, run: function(): Promise<void>}[]} tasks
+ * @returns {Promise<import('./validate.js').Issue[]>} The issues, empty if every script succeeded.
+ */
+export async function runScripts(tasks) {
+    const results = await Promise.allSettled(tasks.map(async ({ctx, run}) => {
+        await run();
+        await checkOutputs(ctx);
+    }));
+
+    return results.flatMap((r, i) => {
+        if (r.status === 'fulfilled') {
+            return [];
+        }
+        const {ctx} = tasks[i];
+        if (r.reason instanceof BuildScriptError) {
+            return [{file: r.reason.file ?? path.relative(ctx.sourceRoot, ctx.source('_build.js')), path: r.reason.path, message: r.reason.message}];
+        }
+        // Unexpected errors keep their stack, to debug the script.
+        console.error(r.reason);
+        return [{file: path.relative(ctx.sourceRoot, ctx.source('_build.js')), path: '', message: r.reason?.message ?? String(r.reason)}];
+    });
+}
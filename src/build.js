@@ -1,23 +1,73 @@
 import fs from 'node:fs/promises';
 import * as path from 'node:path';
-import * as crypto from 'node:crypto';
 import * as glob from 'glob';
 import * as toml from 'toml';
+import {validate, ValidationError} from './validate.js';
+import {compareVersions, dateVersion, maxVersion} from './versions.js';
+import {CHANNEL_DOCUMENTS, inheritChannel, isInside, orderChannels, rebaseUrl} from './channels.js';
+import {BuildCache} from './cache.js';
+import {loadPublicKey, loadSigningKey, MANIFEST_NAME, updateSignature, writeManifest} from './signing.js';
+import {archiveDatabase, buildDeltas} from './gamesdb/delta.js';
+import {changelogMarkdown, diffBuilds} from './catalog-diff.js';
+import {planRetention, prunedVersions, retentionReport} from './retention.js';
+import {danglingTags, resolveTags, tagConflicts} from './tags.js';
+import {checkCoreCompat, checkSystemCompat, readSystemFiles} from './compat.js';
+import {compressFiles} from './compress.js';
+import {verifyBuild, verifySummary} from './verify.js';
+import {createBuildContext, createReporter, runScripts} from './build-context.js';
+import {openGamesDb, resolvePlaylist} from './playlists.js';
 
 const ROOT = process.cwd();
 const SOURCE_ROOT = path.join(ROOT, 'files');
 const DIST_ROOT = path.join(ROOT, 'dist');
 
-process.env['PROJECT_ROOT'] = ROOT;
-process.env['SOURCE_ROOT'] = ROOT;
-process.env['DIST_ROOT'] = ROOT;
+// The report of the verification of `dist/`, for tools.
+const REPORT_PATH = path.join(ROOT, '.cache', 'build-report.json');
 
-// The official 1FPGA public key. Updating this is risky.
-const PUBLIC_KEY = `
------BEGIN PUBLIC KEY-----
-MCowBQYDK2VwAyEA04SX9mHaW2D09TF5G7hOQrGgqf6uTUcRv4KOXhL4kCs=
------END PUBLIC KEY-----
-`.trim();
+// Previously published games databases, which deltas to the new databases are built from.
+const ARCHIVE_ROOT = path.join(ROOT, 'archive');
+
+/**
+ * The games databases of this build, archived once the build succeeded.
+ * @type {{dbPath: string, version: string, archiveDir: string}[]}
+ */
+const archives = [];
+
+// In incremental mode, `dist/` is kept and only what changed since the last build is redone.
+const INCREMENTAL = process.argv.includes('--incremental');
+// With `--prune-dry-run`, only report the releases the retention policies would prune.
+const PRUNE_DRY_RUN = process.argv.includes('--prune-dry-run');
+// With `--changelog <dir>`, the changes since the build in `<dir>` (e.g. the previously
+// published `dist/`) are published next to the catalog.
+const CHANGELOG_INDEX = process.argv.indexOf('--changelog');
+const CHANGELOG_ARG = CHANGELOG_INDEX === -1 ? null : process.argv[CHANGELOG_INDEX + 1];
+if (CHANGELOG_INDEX !== -1 && (CHANGELOG_ARG === undefined || CHANGELOG_ARG.startsWith('--'))) {
+    console.error('Usage: npm run build -- --changelog <previous dist/>');
+    process.exit(1);
+}
+const PREVIOUS_DIST = CHANGELOG_ARG === null ? null : path.resolve(CHANGELOG_ARG);
+if (PREVIOUS_DIST === DIST_ROOT) {
+    console.error('The previous build for the changelog cannot be dist/ itself.');
+    process.exit(1);
+}
+if (PREVIOUS_DIST !== null) {
+    // Fail before building rather than once dist/ is written.
+    try {
+        JSON.parse(await fs.readFile(path.join(PREVIOUS_DIST, 'catalog.json'), 'utf8'));
+    } catch (e) {
+        console.error(`${CHANGELOG_ARG} is not a previous build for the changelog (no valid catalog.json): ${e.message}`);
+        process.exit(1);
+    }
+}
+
+const cache = await BuildCache.load(path.join(ROOT, '.cache', 'build-manifest.json'), ROOT, INCREMENTAL);
+
+// The key `.sig` files are verified against, and the key to sign the catalog with (if any).
+const PUBLIC_KEY = await loadPublicKey();
+const SIGNING_KEY = await loadSigningKey(PUBLIC_KEY);
+
+// Where the `_build.js` scripts log and report their progress.
+const reporter = createReporter();
 
 /**
  * Check if a file exists.
@@ -33,11 +83,18 @@ async function exists(path) {
     }
 }
 
+/**
+ * The `_build.js` scripts found while copying, run once every other file is copied.
+ * @type {{script: Record, ctx: import('./build-context.js').BuildContext, inputs: string[]}[]}
+ */
+const scripts = [];
+
 /**
  * Copy a file from `source` to `dest`. If `dest` is not provided, it is assumed to be the
  * `dist` folder (keeping the path from the `source`).
  *
- * This is also smart enough to look for `_build.js` files in the source folders and run them.
+ * This is also smart enough to look for `_build.js` files in the source folders, which are
+ * run instead of copying their folder (see `build-context.js`).
  * @param {string} source The source file, relative to the root folder (or absolute).
  * @param {string?} dest The destination file, relative to the `dist/` folder (or absolute). If missing the
  *                       source file is copied to the same path in the `dist/` folder.
@@ -51,42 +108,45 @@ async function copy(source, dest) {
     const sourcePath = path.resolve(SOURCE_ROOT, source);
     const destPath = dest === undefined ? path.join(DIST_ROOT, source) : path.resolve(DIST_ROOT, dest);
 
+    // Files of releases pruned by the retention policies are not published.
+    if (retention.files.has(sourcePath)) {
+        return destPath;
+    }
+
     await fs.mkdir(path.dirname(destPath), {recursive: true});
 
     const stat = await fs.lstat(sourcePath);
 
-    // If `source` is a symbolic link, copy the link.
+    // Symbolic links are not followed; the latest release of each platform is generated by
+    // `buildReleases()` instead.
     if (stat.isSymbolicLink()) {
-        // If the file is a symbolic link, copy the link's target (if it exists).
-        const link = path.resolve(path.dirname(sourcePath), await fs.readlink(sourcePath));
-        await copy(path.relative(SOURCE_ROOT, link), destPath);
-    } else if (stat.isDirectory()) {
+        throw new Error(`${JSON.stringify(source)} is a symbolic link, which is not supported. `
+            + 'The latest release of each platform is resolved by the build.');
+    }
+
+    if (stat.isDirectory()) {
         // If the directory has a `_build.js` file, run it, do not copy files directly.
         const buildPath = path.join(sourcePath, '_build.js');
         if (await exists(buildPath)) {
-            // Create the target.
-            await fs.mkdir(destPath);
-
-            const current = process.cwd();
-            process.chdir(sourcePath);
-
             /** @type {Record} */
             const script = await import (buildPath);
-            /** @type {function} */
-            const copyFn = async (src, maybeDest)  => {
-                const sourcePath = path.join(source, src);
-                const dest = maybeDest ?? path.join(destPath, src);
-                await copy(sourcePath, dest);
-            };
-
-            try {
-                await script.build(copyFn, destPath);
-            } catch (e) {
-                console.error(`Error while running _build.js in ${sourcePath}:\n`, e);
-                process.exit(1);
-            } finally {
-                process.chdir(current);
-            }
+            const ctx = createBuildContext({
+                sourceRoot: SOURCE_ROOT,
+                distRoot: DIST_ROOT,
+                sourceDir: sourcePath,
+                destDir: destPath,
+                copy,
+                reporter,
+            });
+
+            // The script is only run again if its folder, its extra inputs or the build
+            // scripts themselves changed.
+            const inputs = [
+                sourcePath,
+                path.join(ROOT, 'src'),
+                ...(script.inputs ?? []).map(i => path.resolve(sourcePath, i)),
+            ];
+            scripts.push({script, ctx, inputs});
         } else {
             // Copy everything recursively.
             for (const fPath of await glob.glob(sourcePath + '/*')) {
@@ -114,7 +174,7 @@ async function copy(source, dest) {
                 break;
             }
             default: {
-                await fs.cp(sourcePath, destPath, {dereference: true});
+                await cache.copyFile(sourcePath, destPath);
             }
         }
     }
@@ -123,62 +183,59 @@ async function copy(source, dest) {
 }
 
 /**
- * Calculate the size and sha256 of a file.
- * @param path The path to the file.
- * @returns {Promise<(number|string)[]>} The size and sha256 of the file.
+ * Return the source TOML a JSON document of `dist/` was converted from.
+ * @param {string} distPath
+ * @returns {string}
  */
-async function calculateSizeAndSha256(path) {
-    const stat = await fs.stat(path);
-    const size = stat.size;
-    const sha256 = crypto.createHash('sha256').update(await fs.readFile(path)).digest('hex');
-    return [size, sha256];
+function sourceOf(distPath) {
+    return path.join(SOURCE_ROOT, path.relative(DIST_ROOT, distPath)).replace(/\.json$/, '.toml');
 }
 
 /**
- * Calculate the signature of a file. This is done by reading the `fPath.sig` file.
- * If the file does not exist, `null` is returned. If the file exists but is invalid,
- * an error is thrown.
- *
- * @param fPath The path to the file.
- * @param key The public key to use for verification. Defaults to the official 1FPGA public key.
- * @returns The signature of the file, or `null` if the signature file does not exist.
- * @throws Error An error if the signature file exists but is invalid.
+ * Calculate the size and sha256 of a file referenced by a document. Hashes are cached between
+ * builds.
+ * @param {string} fPath The path to the file.
+ * @param {string} docPath The JSON document referencing the file, in `dist/`.
+ * @param {string} key The path of the reference in the document (e.g. `releases[0].files[0]`).
+ * @returns {Promise<(number|string)[]>} The size and sha256 of the file.
+ * @throws {ValidationError} If the file doesn't exist.
  */
-async function calculateSignature(fPath, key = PUBLIC_KEY) {
-    const sigPath = fPath + '.sig';
+async function calculateSizeAndSha256(fPath, docPath, key) {
     try {
-        await fs.access(sigPath);
-    } catch (_) {
-        return null;
-    }
-
-    const publicKey = crypto.createPublicKey(key);
-    const data = Buffer.from(await fs.readFile(fPath));
-    const sig = Buffer.from(await fs.readFile(sigPath));
-    const result = crypto.verify(null, data, publicKey, sig);
-    if (result !== true) {
-        throw new Error(`Could not validate signature in ${JSON.stringify(fPath)}...`);
+        return await cache.sizeAndSha256(fPath);
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            throw e;
+        }
+        throw new ValidationError([{
+            file: path.relative(SOURCE_ROOT, sourceOf(docPath)),
+            path: `${key}.url`,
+            message: `${JSON.stringify(rebaseUrl(fPath, DIST_ROOT, path.dirname(docPath)))} does not exist`,
+        }]);
     }
-
-    return sig.toString('base64');
-}
-
-/**
- * Compare two versions. Since we always use dates for versions, we can just subtract them.
- * @param a
- * @param b
- * @returns {number} Smaller than 0 if `a` is older than `b`, greater than 0 if `a` is newer
- *                   than `b`, 0 if they are the same.
- */
-function compareVersions(a, b) {
-    return +a - +b;
 }
 
 /**
- * Return the maximum version of a list of versions.
+ * Resolve the tags of releases, checking that every tag points to a single published release.
+ * @param {Record[]} releases Every release of a core (or of a 1FPGA release name).
+ * @param {Record[]} published The releases kept by the retention policies.
+ * @param {string} docPath The JSON document of the releases, in `dist/`.
+ * @param {string} key The path of the releases in the document (e.g. `releases`).
+ * @returns {Record<string, string>} The version of every tag.
+ * @throws {ValidationError} If a tag is on more than one release, or points to a release
+ *         that is not published.
  */
-function maxVersion(versions) {
-    return versions.reduce((a, b) => compareVersions(a, b) > 0 ? a : b);
+function checkedTags(releases, published, docPath, key) {
+    const releaseTags = resolveTags(releases);
+    const issues = [...tagConflicts(releases), ...danglingTags(releaseTags, releases, published)];
+    if (issues.length > 0) {
+        throw new ValidationError(issues.map(i => ({
+            file: path.relative(SOURCE_ROOT, sourceOf(docPath)),
+            path: `${key}${i.path}`,
+            message: i.message,
+        })));
+    }
+    return releaseTags;
 }
 
 /**
@@ -191,28 +248,85 @@ async function buildCores(catalog, catalogPath) {
     const coresData = JSON.parse(await fs.readFile(coresPath, 'utf8'));
     let latestCoresVersion = catalog.cores.version ?? "0";
 
-    for (const [_name, c] of Object.entries(coresData)) {
+    // The files known by the games database of each system, to check cores against.
+    const systemsPath = path.join(path.dirname(catalogPath), catalog.systems.url);
+    const systemFiles = {};
+    const systemPaths = {};
+    for (const [name, s] of Object.entries(JSON.parse(await fs.readFile(systemsPath, 'utf8')))) {
+        const sPath = path.join(path.dirname(systemsPath), s.url);
+        const {db} = JSON.parse(await fs.readFile(sPath, 'utf8'));
+        systemFiles[name] = db ? await readSystemFiles(path.join(path.dirname(sPath), db.url)) : null;
+        systemPaths[name] = sPath;
+    }
+    const issues = [];
+
+    // The cores of each system (inherited or not), and the systems with a core of this channel.
+    const systemCores = {};
+    const checkedSystems = new Set();
+    const addSystemCore = (name, cData) => {
+        for (const system of cData.systems ?? []) {
+            (systemCores[system] ??= {})[name] = cData;
+        }
+    };
+
+    for (const [name, c] of Object.entries(coresData)) {
         const cPath = path.join(path.dirname(coresPath), c.url);
+
+        // Cores inherited from another channel were already built with that channel.
+        if (!isInside(path.dirname(catalogPath), cPath)) {
+            latestCoresVersion = maxVersion([latestCoresVersion, c.version]);
+            addSystemCore(name, JSON.parse(await fs.readFile(cPath, 'utf8')));
+            continue;
+        }
+
         /** @type {Record} */
         const cData = JSON.parse(await fs.readFile(cPath, 'utf8'));
         let latestVersion = c.version ?? "0";
 
+        // Tags are resolved before pruning, so a tag can't silently point to a pruned release.
+        const pruned = prunedVersions(retention, sourceOf(cPath), name);
+        const published = cData.releases.filter(r => !pruned.has(r.version));
+        const releaseTags = checkedTags(cData.releases, published, cPath, 'releases');
+        cData.releases = published;
+        delete cData.retention;
+
+        for (const issue of checkCoreCompat(cData, systemFiles)) {
+            issues.push({file: path.relative(SOURCE_ROOT, sourceOf(cPath)), ...issue});
+        }
+        addSystemCore(name, cData);
+        cData.systems?.forEach(system => checkedSystems.add(system));
+
         // Update the releases' files size and sha256.
-        for (const r of cData.releases) {
+        for (const [i, r] of cData.releases.entries()) {
             latestVersion = maxVersion([latestVersion, r.version]);
-            for (const f of r.files) {
+            for (const [j, f] of r.files.entries()) {
                 const fPath = path.join(path.dirname(cPath), f.url);
-                const [size, sha256] = await calculateSizeAndSha256(fPath);
+                const [size, sha256] = await calculateSizeAndSha256(fPath, cPath, `releases[${i}].files[${j}]`);
                 f.size = size;
                 f.sha256 = sha256;
+                await updateSignature(f, fPath, PUBLIC_KEY);
             }
         }
 
-        c.version = latestVersion;
+        // The version of a core is the one of its `latest` release, if it has one.
+        c.version = releaseTags.latest ?? latestVersion;
+        c.releaseTags = releaseTags;
+        cData.releaseTags = releaseTags;
         latestCoresVersion = maxVersion([latestCoresVersion, c.version]);
         await fs.writeFile(cPath, JSON.stringify(cData), 'utf8');
     }
 
+    for (const system of checkedSystems) {
+        const message = systemFiles[system] && checkSystemCompat(systemFiles[system], systemCores[system]);
+        if (message) {
+            issues.push({file: path.relative(SOURCE_ROOT, sourceOf(systemPaths[system])), path: 'db', message});
+        }
+    }
+
+    if (issues.length > 0) {
+        throw new ValidationError(issues);
+    }
+
     catalog.cores.version = maxVersion([catalog.cores.version, latestCoresVersion]);
     await fs.writeFile(coresPath, JSON.stringify(coresData), 'utf8');
 }
@@ -231,6 +345,13 @@ async function buildSystems(catalog, catalogPath) {
 
     for (const [_name, s] of Object.entries(systemsData)) {
         const sPath = path.join(path.dirname(systemsPath), s.url);
+
+        // Systems inherited from another channel were already built with that channel.
+        if (!isInside(path.dirname(catalogPath), sPath)) {
+            latestSystemsVersion = maxVersion([latestSystemsVersion, s.version]);
+            continue;
+        }
+
         /** @type {Record} */
         const sData = JSON.parse(await fs.readFile(sPath, 'utf8'));
         let latestVersion = maxVersion([s.version, sData.version, "0"]);
@@ -238,9 +359,10 @@ async function buildSystems(catalog, catalogPath) {
         // Update the gamesDb of the system.
         if (sData.gamesDb) {
             const gamesDbPath = path.join(path.dirname(sPath), sData.gamesDb.url);
-            const [size, sha256] = await calculateSizeAndSha256(gamesDbPath);
+            const [size, sha256] = await calculateSizeAndSha256(gamesDbPath, sPath, 'gamesDb');
             sData.gamesDb.size = size;
             sData.gamesDb.sha256 = sha256;
+            await updateSignature(sData.gamesDb, gamesDbPath, PUBLIC_KEY);
 
             if (compareVersions(sData.gamesDb.version, latestVersion) > 0) {
                 latestVersion = sData.gamesDb.version;
@@ -249,9 +371,22 @@ async function buildSystems(catalog, catalogPath) {
 
         if (sData.db) {
             const dbPath = path.join(path.dirname(sPath), sData.db.url);
-            const [dbSize, dbSha256] = await calculateSizeAndSha256(dbPath);
+            const [dbSize, dbSha256] = await calculateSizeAndSha256(dbPath, sPath, 'db');
             sData.db.size = dbSize;
             sData.db.sha256 = dbSha256;
+            await updateSignature(sData.db, dbPath, PUBLIC_KEY);
+
+            // Devices with a previous version of the database can download a delta instead.
+            const archive = {
+                dbPath,
+                version: sData.db.version,
+                archiveDir: path.join(ARCHIVE_ROOT, path.relative(DIST_ROOT, path.dirname(dbPath))),
+            };
+            const deltas = await buildDeltas({...archive, baseUrl: path.posix.dirname(sData.db.url)});
+            archives.push(archive);
+            if (deltas.length > 0) {
+                sData.db.deltas = deltas;
+            }
         }
 
         s.version = latestVersion;
@@ -265,70 +400,367 @@ async function buildSystems(catalog, catalogPath) {
 }
 
 /**
+ * Build the playlists.json file: resolve the entries of every playlist of the channel against
+ * the (built) games databases of their systems, so devices get the full names of the games.
+ * @param {Record} catalog
+ * @param {string} catalogPath
+ * @throws {ValidationError} If an entry doesn't reference exactly one game.
+ */
+async function buildPlaylists(catalog, catalogPath) {
+    const playlistsPath = path.join(path.dirname(catalogPath), catalog.playlists.url);
+    // Channels without playlists still publish an empty playlists.json.
+    /** @type {Record} */
+    const playlistsData = await exists(playlistsPath) ? JSON.parse(await fs.readFile(playlistsPath, 'utf8')) : {};
+    let latestPlaylistsVersion = catalog.playlists.version ?? "0";
+
+    // The games databases of the systems of the channel, opened when a playlist needs them.
+    const systemsPath = path.join(path.dirname(catalogPath), catalog.systems.url);
+    const systems = JSON.parse(await fs.readFile(systemsPath, 'utf8'));
+    const databases = new Map();
+    const databaseOf = async (system) => {
+        if (!Object.hasOwn(systems, system)) {
+            return undefined;
+        }
+        if (!databases.has(system)) {
+            const sPath = path.join(path.dirname(systemsPath), systems[system].url);
+            const {db} = JSON.parse(await fs.readFile(sPath, 'utf8'));
+            databases.set(system, db ? await openGamesDb(path.join(path.dirname(sPath), db.url)) : null);
+        }
+        return databases.get(system)?.all ?? null;
+    };
+    const issues = [];
+
+    try {
+        for (const [_name, p] of Object.entries(playlistsData)) {
+            const pPath = path.join(path.dirname(playlistsPath), p.url);
+
+            // Playlists inherited from another channel were already built with that channel.
+            if (!isInside(path.dirname(catalogPath), pPath)) {
+                latestPlaylistsVersion = maxVersion([latestPlaylistsVersion, p.version]);
+                continue;
+            }
+
+            /** @type {Record} */
+            const pData = JSON.parse(await fs.readFile(pPath, 'utf8'));
+            const {entries, issues: found} = await resolvePlaylist(pData, databaseOf);
+            for (const issue of found) {
+                issues.push({file: path.relative(SOURCE_ROOT, sourceOf(pPath)), ...issue});
+            }
+
+            delete pData.system;
+            pData.systems = [...new Set(entries.map(e => e.system))];
+            pData.entries = entries;
+            p.version = pData.version;
+            latestPlaylistsVersion = maxVersion([latestPlaylistsVersion, p.version]);
+            await fs.writeFile(pPath, JSON.stringify(pData), 'utf8');
+        }
+    } finally {
+        for (const db of databases.values()) {
+            await db?.close();
+        }
+    }
+
+    if (issues.length > 0) {
+        throw new ValidationError(issues);
+    }
+
+    catalog.playlists.version = maxVersion([catalog.playlists.version, latestPlaylistsVersion]);
+    await fs.writeFile(playlistsPath, JSON.stringify(playlistsData), 'utf8');
+}
+
+/**
+ * Publish the newest files of a release for each platform, in `releases/<name>/latest/<platform>/`
+ * next to the releases JSON, and describe them in `releases/<name>/latest.json`. The newest
+ * release of a platform is the one tagged `latest` if it provides files for that platform,
+ * the one with the highest version otherwise.
+ *
+ * The files of the default platform are also published in `releases/<name>/latest/`, where
+ * installers that predate platforms (e.g. `1fpga.sh` on SD cards) download them from.
  *
+ * @param {string} name The name of the release (e.g. `1fpga`).
+ * @param {Record[]} versions The versions of the release, with their files' size and sha256.
+ * @param {string} releasesPath The path to the releases.json file.
+ * @param {Record<string, {name: string, arch: string}>} platforms The platforms of the catalog.
+ * @param {string|undefined} defaultPlatform The platform of the legacy installers, if any.
+ * @returns {Promise<string>} The URL of `latest.json`, relative to the releases.json file (and
+ *          to the channel's catalog.json, which is in the same folder).
+ */
+async function buildLatestReleases(name, versions, releasesPath, platforms, defaultPlatform) {
+    const dir = path.join(path.dirname(releasesPath), 'releases', name);
+    const latest = {name, platforms: {}};
+
+    for (const platform of Object.keys(platforms)) {
+        const candidates = versions.filter(v => v.files.some(f => f.platform === platform));
+        const release = candidates.find(v => (v.tags ?? []).includes('latest'))
+            ?? candidates.find(v => v.version === maxVersion(candidates.map(c => c.version)));
+        if (!release) {
+            continue;
+        }
+
+        const platformFiles = release.files.filter(f => f.platform === platform);
+        const files = [];
+        for (const f of platformFiles) {
+            const fPath = path.join(path.dirname(releasesPath), f.url);
+            const destPath = path.join(dir, 'latest', platform, path.basename(fPath));
+            await fs.mkdir(path.dirname(destPath), {recursive: true});
+            await fs.copyFile(fPath, destPath);
+            if (f.signature) {
+                await fs.copyFile(`${fPath}.sig`, `${destPath}.sig`);
+            }
+            if (platform === defaultPlatform) {
+                const legacyPath = path.join(dir, 'latest', path.basename(fPath));
+                await fs.copyFile(fPath, legacyPath);
+                if (f.signature) {
+                    await fs.copyFile(`${fPath}.sig`, `${legacyPath}.sig`);
+                }
+                declaredOutputs.add(legacyPath);
+            }
+
+            const {platform: _platform, arch: _arch, minFirmware: _minFirmware, ...file} = f;
+            files.push({...file, url: `./latest/${platform}/${path.basename(fPath)}`});
+        }
+
+        const minFirmware = maxVersion(platformFiles.map(f => f.minFirmware));
+        latest.platforms[platform] = {
+            version: release.version,
+            arch: platforms[platform].arch,
+            ...(minFirmware !== '0' ? {minFirmware} : {}),
+            files,
+        };
+    }
+
+    await fs.mkdir(dir, {recursive: true});
+    await fs.writeFile(path.join(dir, 'latest.json'), JSON.stringify(latest), 'utf8');
+    return `./releases/${name}/latest.json`;
+}
+
+/**
+ * Build the releases.json file, and the `latest` files of each release.
+ *
+ * The tags of each release are resolved to versions in `catalog.releases.tags` (e.g.
+ * `{"1fpga": {"latest": "0.3.0"}}`) rather than in releases.json, which maps every release to
+ * the array of its versions and has no room for them without breaking its readers.
  * @param {Record} catalog
  * @param {string} catalogPath
+ * @param {Record<string, {name: string, arch: string}>} platforms The platforms of the catalog.
+ * @param {string|undefined} defaultPlatform The platform of the legacy installers, if any.
  * @returns {Promise<void>}
  */
-async function buildReleases(catalog, catalogPath) {
+async function buildReleases(catalog, catalogPath, platforms, defaultPlatform) {
     const releasesPath = path.join(path.dirname(catalogPath), catalog.releases.url);
     /** @type {Record} */
     const releasesData = JSON.parse(await fs.readFile(releasesPath, 'utf8'));
     let latestReleasesVersion = catalog.releases.version ?? "0";
     let latestTagVersion = undefined;
+    catalog.releases.tags = {};
+
+    for (const [name, value] of Object.entries(releasesData)) {
+        const pruned = prunedVersions(retention, sourceOf(releasesPath), name);
+        releasesData[name] = value.filter(v => !pruned.has(v.version));
+        const releaseTags = checkedTags(value, releasesData[name], releasesPath, name);
+        catalog.releases.tags[name] = releaseTags;
+        if (releaseTags.latest !== undefined) {
+            latestTagVersion = maxVersion([latestTagVersion, releaseTags.latest]);
+        }
 
-    for (const value of Object.values(releasesData)) {
         /** @type {Record} */
-        const r = value;
-        for (const v of r) {
+        const r = releasesData[name];
+        for (const [i, v] of r.entries()) {
             latestReleasesVersion = maxVersion([latestReleasesVersion, v.version]);
-            if ((r.tags ?? []).includes("latest")) {
-                latestTagVersion = r.version;
-            }
 
             // Update the files size and sha256.
-            for (const f of v.files) {
+            for (const [j, f] of v.files.entries()) {
                 const fPath = path.join(path.dirname(releasesPath), f.url);
-                const [size, sha256] = await calculateSizeAndSha256(fPath);
+                const [size, sha256] = await calculateSizeAndSha256(fPath, releasesPath, `${name}[${i}].files[${j}]`);
                 f.size = size;
                 f.sha256 = sha256;
-
-                const signature = await calculateSignature(fPath);
-                if (!signature) {
-                    delete f.signature;
-                } else {
-                    f.signature = signature;
-                }
+                await updateSignature(f, fPath, PUBLIC_KEY);
             }
         }
     }
 
+    // Let installers and the updater find the files for their platform.
+    catalog.releases.latest = {};
+    for (const [name, versions] of Object.entries(releasesData)) {
+        catalog.releases.latest[name] = {url: await buildLatestReleases(name, versions, releasesPath, platforms, defaultPlatform)};
+    }
+
     catalog.releases.version = latestTagVersion ?? maxVersion([catalog.releases.version, latestReleasesVersion]);
     await fs.writeFile(releasesPath, JSON.stringify(releasesData), 'utf8');
 }
 
-// Ignore errors when deleting the `dist/` folder (e.g. it doesn't exist).
+/**
+ * Run a hook of the `_build.js` scripts, concurrently, and exit with their errors if any fail.
+ * @param {function({script: Record, ctx: import('./build-context.js').BuildContext, inputs: string[]}): Promise<void>} hook
+ * @param {boolean} afterCatalog Whether this runs the `afterCatalog` hooks, for the error message.
+ */
+async function runHooks(hook, afterCatalog) {
+    const issues = await runScripts(scripts.map(s => ({ctx: s.ctx, run: () => hook(s)})));
+    reporter.stop();
+    if (issues.length > 0) {
+        console.error(`The _build.js scripts failed${afterCatalog ? ' after the catalog' : ''}.`);
+        console.error(new ValidationError(issues).message);
+        process.exit(1);
+    }
+}
+
+// Validate the source files before doing anything, so nothing invalid ends up in `dist/`.
 try {
-    // Deleting the `dist/` folder.
-    await fs.rm('./dist', {recursive: true});
-} catch (_) {
+    await validate(SOURCE_ROOT);
+} catch (e) {
+    if (e instanceof ValidationError) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    throw e;
+}
+
+const retention = await planRetention(SOURCE_ROOT);
+const pruneReport = retentionReport(retention, SOURCE_ROOT);
+if (PRUNE_DRY_RUN) {
+    console.log(pruneReport.length === 0
+        ? 'The retention policies do not prune any release.'
+        : `The retention policies would prune:\n${pruneReport.map(l => `  ${l}`).join('\n')}`);
+    process.exit(0);
+}
+pruneReport.forEach(l => console.log(`Pruning ${l}`));
+
+if (INCREMENTAL) {
+    // Remember what was in `dist/` to remove what this build doesn't produce anymore.
+    await cache.snapshot(DIST_ROOT);
+} else {
+    // Ignore errors when deleting the `dist/` folder (e.g. it doesn't exist).
+    try {
+        // Deleting the `dist/` folder.
+        await fs.rm('./dist', {recursive: true});
+    } catch (_) {
+    }
 }
 
 // Copy files, converting files as necessary.
 await copy('.');
 
-// Updating the files with the information.
-const catalogPath = path.join(ROOT, './dist/catalog.json');
-const catalog = JSON.parse(await fs.readFile(catalogPath, 'utf8'));
-
-await buildCores(catalog, catalogPath);
-await buildSystems(catalog, catalogPath);
-await buildReleases(catalog, catalogPath);
-
-// Update the version of catalog.json
-const d = new Date();
-const y = d.getFullYear();
-const m = d.getMonth() + 1;
-const day = d.getDate();
-catalog.version = `${y}${m < 10 ? '0' : ''}${m}${day < 10 ? '0' : ''}${day}`;
-await fs.writeFile(catalogPath, JSON.stringify(catalog), 'utf8');
+// The files published besides the catalog: the outputs of the scripts, and the files of the
+// legacy installers.
+const declaredOutputs = new Set();
+
+// Run the scripts once every other file is copied, so they can read the documents of `dist/`.
+await runHooks(async ({script, ctx, inputs}) => {
+    const outputs = await cache.runStep(ctx.sourceDir, inputs, ctx.destDir, async () => {
+        await script.build(ctx);
+        return [...ctx.outputs];
+    });
+    outputs.forEach(o => declaredOutputs.add(o));
+}, false);
+
+// Build every channel, parents first so inheriting channels can reuse their documents.
+const rootCatalogPath = path.join(DIST_ROOT, 'catalog.json');
+const rootCatalog = JSON.parse(await fs.readFile(rootCatalogPath, 'utf8'));
+const version = dateVersion();
+const channelCatalogs = {};
+
+for (const channel of orderChannels(rootCatalog)) {
+    await inheritChannel(DIST_ROOT, channel);
+
+    const catalogPath = path.join(DIST_ROOT, channel.id, 'catalog.json');
+    const catalog = {
+        name: rootCatalog.name,
+        uniqueName: rootCatalog.uniqueName,
+        channel: channel.id,
+        version,
+        manifest: {url: `../${MANIFEST_NAME}`},
+        ...Object.fromEntries(CHANNEL_DOCUMENTS.map(doc => [doc, {url: `./${doc}.json`, version: ""}])),
+    };
+
+    // Some checks need the built documents and databases (e.g. cores against games databases).
+    try {
+        await buildCores(catalog, catalogPath);
+        await buildSystems(catalog, catalogPath);
+        await buildPlaylists(catalog, catalogPath);
+        await buildReleases(catalog, catalogPath, rootCatalog.platforms, rootCatalog.defaultPlatform);
+    } catch (e) {
+        if (e instanceof ValidationError) {
+            console.error(e.message);
+            process.exit(1);
+        }
+        throw e;
+    }
+
+    await fs.writeFile(catalogPath, JSON.stringify(catalog), 'utf8');
+    channelCatalogs[channel.id] = catalog;
+}
+
+// The root catalog.json lists all channels, and is otherwise the catalog of the default
+// channel, for devices that don't know about channels.
+const defaultChannelDir = path.join(DIST_ROOT, rootCatalog.defaultChannel);
+for (const doc of CHANNEL_DOCUMENTS) {
+    const ref = channelCatalogs[rootCatalog.defaultChannel][doc];
+    rootCatalog[doc] = {...ref, url: rebaseUrl(ref.url, defaultChannelDir, DIST_ROOT)};
+    if (ref.latest) {
+        rootCatalog[doc].latest = Object.fromEntries(Object.entries(ref.latest).map(([name, l]) => [name, {
+            url: rebaseUrl(l.url, defaultChannelDir, DIST_ROOT),
+        }]));
+    }
+}
+delete rootCatalog.retention;
+rootCatalog.version = version;
+rootCatalog.manifest = {url: `./${MANIFEST_NAME}`};
+rootCatalog.channels = Object.fromEntries(Object.entries(rootCatalog.channels).map(([id, c]) => [id, {
+    ...c,
+    url: `./${id}/catalog.json`,
+}]));
+await fs.writeFile(rootCatalogPath, JSON.stringify(rootCatalog), 'utf8');
+
+if (PREVIOUS_DIST) {
+    const changelog = await diffBuilds(PREVIOUS_DIST, DIST_ROOT);
+    await fs.writeFile(path.join(DIST_ROOT, 'changelog.json'), JSON.stringify(changelog), 'utf8');
+    await fs.writeFile(path.join(DIST_ROOT, 'changelog.md'), changelogMarkdown(changelog), 'utf8');
+
+    rootCatalog.changelog = {url: './changelog.json', version};
+    await fs.writeFile(rootCatalogPath, JSON.stringify(rootCatalog), 'utf8');
+}
+
+// Scripts can also run once the catalog is built, e.g. to list its files.
+await runHooks(async ({script, ctx}) => {
+    if (script.afterCatalog) {
+        await script.afterCatalog(ctx);
+        ctx.outputs.forEach(o => declaredOutputs.add(o));
+    }
+}, true);
+
+// Stale files are removed first, so the manifest doesn't list documents that are gone. The
+// manifest itself is written again below.
+if (INCREMENTAL) {
+    cache.kept.add(cache.key(path.join(DIST_ROOT, MANIFEST_NAME)));
+    for (const f of await cache.removeStale(DIST_ROOT)) {
+        console.log(`Removed stale file ${path.relative(ROOT, f)}`);
+    }
+}
+
+// Write (and sign) the manifest last, once every JSON document is final.
+await writeManifest(DIST_ROOT, SIGNING_KEY);
+if (!SIGNING_KEY) {
+    console.warn('No signing key provided (ONEFPGA_SIGNING_KEY); the catalog is not signed.');
+}
+
+// Precompressed variants of the documents and databases, for servers to send as is.
+await compressFiles(DIST_ROOT, cache);
+if (INCREMENTAL) {
+    for (const f of await cache.removeStaleDerived(DIST_ROOT)) {
+        console.log(`Removed stale file ${path.relative(ROOT, f)}`);
+    }
+}
+await cache.save();
+
+// Check that every URL of the catalog resolves to a file matching what is recorded for it.
+const report = await verifyBuild(DIST_ROOT, PUBLIC_KEY, [...declaredOutputs]);
+await fs.writeFile(REPORT_PATH, JSON.stringify(report, null, 2) + '\n', 'utf8');
+console.log(verifySummary(report));
+if (report.errors.length > 0) {
+    process.exit(1);
+}
+
+// Only databases of successful builds are archived, for the deltas of the next builds.
+for (const archive of archives) {
+    await archiveDatabase(archive);
+}
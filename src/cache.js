@@ -0,0 +1,338 @@
+import fs from 'node:fs/promises';
+import {createReadStream} from 'node:fs';
+import * as path from 'node:path';
+import * as crypto from 'node:crypto';
+import {pipeline} from 'node:stream/promises';
+
+/** Bump this when the format of the manifest changes, to discard older manifests. */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hash a file by streaming it, so large files are never fully loaded in memory.
+ * @param {string} p The path to the file.
+ * @param {string} algorithm The hash algorithm (`sha256` by default).
+ * @returns {Promise<string>} The hex digest of the file.
+ */
+export async function hashFile(p, algorithm = 'sha256') {
+    const hash = crypto.createHash(algorithm);
+    await pipeline(createReadStream(p), hash);
+    return hash.digest('hex');
+}
+
+/**
+ * List all files (not directories) under a directory, recursively.
+ * @param {string} dir The directory.
+ * @returns {Promise<string[]>} The absolute paths of the files, sorted.
+ */
+export async function listFiles(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, {withFileTypes: true, recursive: true});
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return [];
+        }
+        throw e;
+    }
+    return entries
+        .filter(e => !e.isDirectory())
+        .map(e => path.join(e.parentPath ?? e.path, e.name))
+        .sort();
+}
+
+/**
+ * A cache of file hashes, copies and `_build.js` outputs, persisted between builds in a
+ * manifest file. It is always kept up to date, but only used to skip work when the build
+ * runs in incremental mode.
+ */
+export class BuildCache {
+    /**
+     * @param {string} manifestPath The path of the manifest file.
+     * @param {string} root The root folder of the project; paths in the manifest are relative
+     *                      to it.
+     * @param {boolean} incremental Whether to reuse the results of the previous build.
+     */
+    constructor(manifestPath, root, incremental) {
+        this.manifestPath = manifestPath;
+        this.root = root;
+        this.incremental = incremental;
+
+        /** The previous manifest. */
+        this.previous = {files: {}, copies: {}, builds: {}, derived: {}};
+        /** The manifest being built. */
+        this.current = {version: MANIFEST_VERSION, files: {}, copies: {}, builds: {}, derived: {}};
+        /** Outputs that were kept from the previous build. */
+        this.kept = new Set();
+        /** The modification times of the output files before the build, by key. */
+        this.before = new Map();
+    }
+
+    /**
+     * Load the cache from its manifest file, if it exists.
+     * @param {string} manifestPath
+     * @param {string} root
+     * @param {boolean} incremental
+     * @returns {Promise<BuildCache>}
+     */
+    static async load(manifestPath, root, incremental) {
+        const cache = new BuildCache(manifestPath, root, incremental);
+        try {
+            const previous = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+            if (previous.version === MANIFEST_VERSION) {
+                cache.previous = previous;
+            }
+        } catch (_) {
+            // No manifest (or an invalid one); everything will be rebuilt.
+        }
+        return cache;
+    }
+
+    /**
+     * @param {string} p An absolute path.
+     * @returns {string} The key of the path in the manifest.
+     */
+    key(p) {
+        return path.relative(this.root, p);
+    }
+
+    /**
+     * Return the size and sha256 of a file, reusing the hash computed earlier in this build
+     * (or, in incremental mode, by the previous one) if the file's size and modification time
+     * did not change.
+     * @param {string} p The path to the file.
+     * @returns {Promise<(number|string)[]>} The size and sha256 of the file.
+     */
+    async sizeAndSha256(p) {
+        const stat = await fs.stat(p);
+        const key = this.key(p);
+        const known = this.current.files[key] ?? (this.incremental ? this.previous.files[key] : undefined);
+
+        let sha256;
+        if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) {
+            sha256 = known.sha256;
+        } else {
+            sha256 = await hashFile(p);
+        }
+
+        this.current.files[key] = {size: stat.size, mtimeMs: stat.mtimeMs, sha256};
+        return [stat.size, sha256];
+    }
+
+    /**
+     * Check whether the output `dest` of a previous build is still there, unmodified.
+     * @param {{size: number, mtimeMs: number}|undefined} recorded What was recorded for it.
+     * @param {string} dest The absolute path of the output.
+     * @returns {Promise<boolean>}
+     */
+    async isIntact(recorded, dest) {
+        try {
+            const stat = await fs.stat(dest);
+            return recorded !== undefined && stat.size === recorded.size && stat.mtimeMs === recorded.mtimeMs;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Copy a file unless it was already copied by the previous build and neither the source
+     * nor the destination changed since.
+     * @param {string} source The absolute source path.
+     * @param {string} dest The absolute destination path.
+     * @returns {Promise<boolean>} `true` if the file was copied, `false` if it was skipped.
+     */
+    async copyFile(source, dest) {
+        const key = this.key(dest);
+        const sourceStat = await fs.stat(source);
+        const previous = this.previous.copies[key];
+
+        if (this.incremental
+            && previous?.source === this.key(source)
+            && previous.sourceSize === sourceStat.size
+            && previous.sourceMtimeMs === sourceStat.mtimeMs
+            && await this.isIntact(previous.dest, dest)) {
+            this.current.copies[key] = previous;
+            this.kept.add(key);
+            return false;
+        }
+
+        await fs.cp(source, dest, {dereference: true});
+        const destStat = await fs.stat(dest);
+        this.current.copies[key] = {
+            source: this.key(source),
+            sourceSize: sourceStat.size,
+            sourceMtimeMs: sourceStat.mtimeMs,
+            dest: {size: destStat.size, mtimeMs: destStat.mtimeMs},
+        };
+        return true;
+    }
+
+    /**
+     * Write a file derived from another one (e.g. a compressed copy) unless the previous
+     * build already derived it from the same content and it is still intact.
+     * @param {string} source The absolute path of the file it is derived from.
+     * @param {string} dest The absolute path of the derived file.
+     * @param {function(): Promise<boolean>} fn Writes the derived file, and returns `false`
+     *        if it decided not to (nothing is recorded then).
+     * @returns {Promise<boolean>} `true` if the file was written, `false` otherwise.
+     */
+    async derive(source, dest, fn) {
+        const key = this.key(dest);
+        const [, sha256] = await this.sizeAndSha256(source);
+        const previous = this.previous.derived?.[key];
+
+        if (this.incremental && previous?.sha256 === sha256 && await this.isIntact(previous.dest, dest)) {
+            this.current.derived[key] = previous;
+            this.kept.add(key);
+            return false;
+        }
+
+        if (!await fn()) {
+            return false;
+        }
+        const destStat = await fs.stat(dest);
+        this.current.derived[key] = {sha256, dest: {size: destStat.size, mtimeMs: destStat.mtimeMs}};
+        return true;
+    }
+
+    /**
+     * Calculate a fingerprint of a list of input files (and directories, recursively).
+     * @param {string[]} inputs Absolute paths of the inputs.
+     * @returns {Promise<string>}
+     */
+    async fingerprint(inputs) {
+        const hash = crypto.createHash('sha256');
+        for (const input of inputs) {
+            const stat = await fs.stat(input).catch(() => null);
+            const files = stat === null ? [] : stat.isDirectory() ? await listFiles(input) : [input];
+            hash.update(`${this.key(input)}\0${files.length}\0`);
+            for (const f of files) {
+                const [size, sha256] = await this.sizeAndSha256(f);
+                hash.update(`${this.key(f)}\0${size}\0${sha256}\0`);
+            }
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Run a build step (a `_build.js` script) unless its inputs did not change since the
+     * previous build and all its outputs are still intact. Outputs of a step that needs to
+     * run again are removed first.
+     * @param {string} id The identifier of the step (its source directory).
+     * @param {string[]} inputs Absolute paths of the files and directories the step reads.
+     * @param {string} outputDir The directory the step writes to.
+     * @param {function(): Promise<string[]>} fn The step itself, returning the files and
+     *        directories it declares as outputs (possibly outside `outputDir`).
+     * @returns {Promise<string[]>} The declared outputs, from the previous build if the step
+     *          was skipped.
+     */
+    async runStep(id, inputs, outputDir, fn) {
+        const key = this.key(id);
+        const fingerprint = await this.fingerprint(inputs);
+        const previous = this.previous.builds[key];
+
+        if (this.incremental && previous?.fingerprint === fingerprint) {
+            const intact = await Promise.all(Object.entries(previous.outputs)
+                .map(([o, recorded]) => this.isIntact(recorded, path.join(this.root, o))));
+            if (intact.every(x => x)) {
+                this.current.builds[key] = previous;
+                Object.keys(previous.outputs).forEach(o => this.kept.add(o));
+                return (previous.declared ?? []).map(o => path.join(this.root, o));
+            }
+        }
+
+        await fs.rm(outputDir, {recursive: true, force: true});
+        await fs.mkdir(outputDir, {recursive: true});
+        const declared = await fn() ?? [];
+
+        const files = await listFiles(outputDir);
+        for (const o of declared) {
+            const stat = await fs.stat(o).catch(() => null);
+            files.push(...(stat?.isDirectory() ? await listFiles(o) : stat ? [o] : []));
+        }
+        const outputs = {};
+        for (const f of new Set(files)) {
+            const stat = await fs.stat(f);
+            outputs[this.key(f)] = {size: stat.size, mtimeMs: stat.mtimeMs};
+        }
+        this.current.builds[key] = {fingerprint, outputs, declared: declared.map(o => this.key(o))};
+        return declared;
+    }
+
+    /**
+     * Record the state of the output directory before the build, to find stale files after.
+     * @param {string} dir The output directory.
+     */
+    async snapshot(dir) {
+        for (const f of await listFiles(dir)) {
+            this.before.set(this.key(f), (await fs.lstat(f)).mtimeMs);
+        }
+    }
+
+    /**
+     * Remove files from `dir` that were neither written by this build nor kept from the
+     * previous one, then remove empty directories. Files are considered written if they
+     * did not exist or were modified since `snapshot()`.
+     *
+     * Files derived by the previous build are left to `removeStaleDerived()`, as they are
+     * only derived again (or kept) once their sources are final.
+     * @param {string} dir The output directory.
+     * @returns {Promise<string[]>} The files removed.
+     */
+    async removeStale(dir) {
+        const removed = [];
+        for (const f of await listFiles(dir)) {
+            const key = this.key(f);
+            if (!this.kept.has(key) && !this.previous.derived?.[key]
+                && this.before.get(key) === (await fs.lstat(f)).mtimeMs) {
+                await fs.rm(f);
+                removed.push(f);
+            }
+        }
+        await this.removeEmptyDirs(dir);
+        return removed;
+    }
+
+    /**
+     * Remove the files derived by the previous build that this build did not derive again nor
+     * keep (e.g. the compressed copies of files that are gone), unless they were modified.
+     * @param {string} dir The output directory.
+     * @returns {Promise<string[]>} The files removed.
+     */
+    async removeStaleDerived(dir) {
+        const removed = [];
+        for (const [key, previous] of Object.entries(this.previous.derived ?? {})) {
+            const f = path.join(this.root, key);
+            if (!this.current.derived[key] && await this.isIntact(previous.dest, f)) {
+                await fs.rm(f);
+                removed.push(f);
+            }
+        }
+        await this.removeEmptyDirs(dir);
+        return removed;
+    }
+
+    /**
+     * Remove the empty directories of a directory, recursively.
+     * @param {string} dir
+     */
+    async removeEmptyDirs(dir) {
+        // Deepest directories first.
+        const dirs = (await fs.readdir(dir, {withFileTypes: true, recursive: true}))
+            .filter(e => e.isDirectory())
+            .map(e => path.join(e.parentPath ?? e.path, e.name))
+            .sort((a, b) => b.length - a.length);
+        for (const d of dirs) {
+            if ((await fs.readdir(d)).length === 0) {
+                await fs.rmdir(d);
+            }
+        }
+    }
+
+    /**
+     * Save the manifest for the next build.
+     */
+    async save() {
+        await fs.mkdir(path.dirname(this.manifestPath), {recursive: true});
+        await fs.writeFile(this.manifestPath, JSON.stringify(this.current), 'utf8');
+    }
+}
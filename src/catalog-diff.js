@@ -0,0 +1,399 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import sqlite from 'sqlite3';
+
+/**
+ * Compare two builds (`dist/` folders) and describe what changed between them, per channel:
+ * cores, systems and releases added, removed or updated, files whose content changed, and
+ * games added, removed or renamed in the systems' games databases.
+ */
+
+/** The number of games listed per kind of change in the Markdown summary. */
+const MARKDOWN_MAX_GAMES = 20;
+
+/**
+ * Read a JSON file, or return `null` if it doesn't exist.
+ * @param {string} p
+ * @returns {Promise<*>}
+ */
+async function readJson(p) {
+    try {
+        return JSON.parse(await fs.readFile(p, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Read the root catalog of a build, and the catalog of each of its channels. Builds that
+ * predate channels have a single channel, the root catalog itself.
+ * @param {string} distRoot
+ * @returns {Promise<{catalog: Record, channels: Record<string, {dir: string, catalog: Record}>}>}
+ */
+async function readBuild(distRoot) {
+    const catalog = await readJson(path.join(distRoot, 'catalog.json'));
+    if (catalog === null) {
+        throw new Error(`${distRoot} is not a build: it has no catalog.json.`);
+    }
+
+    const channels = {};
+    if (catalog.channels) {
+        for (const [id, c] of Object.entries(catalog.channels)) {
+            const catalogPath = path.join(distRoot, c.url);
+            channels[id] = {dir: path.dirname(catalogPath), catalog: await readJson(catalogPath)};
+        }
+    } else {
+        channels[catalog.defaultChannel ?? 'stable'] = {dir: distRoot, catalog};
+    }
+    return {catalog, channels};
+}
+
+/**
+ * Read a document of a channel (e.g. `cores`), and the documents it indexes if `indexed`.
+ * @returns {Promise<Record<string, *>>}
+ */
+async function readDocument(channel, doc, indexed) {
+    const ref = channel?.catalog?.[doc];
+    if (!ref) {
+        return {};
+    }
+
+    const docPath = path.join(channel.dir, ref.url);
+    const data = await readJson(docPath) ?? {};
+    if (indexed) {
+        for (const [name, entry] of Object.entries(data)) {
+            const entryPath = path.join(path.dirname(docPath), entry.url);
+            data[name] = {path: entryPath, ...await readJson(entryPath)};
+        }
+    }
+    return data;
+}
+
+/**
+ * Compare the files of two versions of a release, by URL.
+ * @param {string} version
+ * @param {{url: string, sha256: string}[]} before
+ * @param {{url: string, sha256: string}[]} after
+ * @returns {{version: string, url: string, from: string|null, to: string|null}[]}
+ */
+function diffFiles(version, before = [], after = []) {
+    const old = new Map(before.map(f => [f.url, f.sha256]));
+    const changes = [];
+    for (const f of after) {
+        if (old.get(f.url) !== f.sha256) {
+            changes.push({version, url: f.url, from: old.get(f.url) ?? null, to: f.sha256});
+        }
+        old.delete(f.url);
+    }
+    for (const [url, sha256] of old) {
+        changes.push({version, url, from: sha256, to: null});
+    }
+    return changes;
+}
+
+/**
+ * Compare two lists of releases, by version.
+ * @param {{version: string, files: Array}[]} before
+ * @param {{version: string, files: Array}[]} after
+ */
+function diffReleases(before = [], after = []) {
+    const old = new Map(before.map(r => [r.version, r]));
+    const versions = new Set(after.map(r => r.version));
+    return {
+        added: after.filter(r => !old.has(r.version)).map(r => r.version),
+        removed: before.filter(r => !versions.has(r.version)).map(r => r.version),
+        files: after
+            .filter(r => old.has(r.version))
+            .flatMap(r => diffFiles(r.version, old.get(r.version).files, r.files)),
+    };
+}
+
+/**
+ * Read the games of a games database, with the hashes of their sources.
+ * @param {string} dbPath
+ * @returns {Promise<Map<string, Set<string>>>} The sources of each game, by full name.
+ */
+async function readGames(dbPath) {
+    const db = await new Promise((resolve, reject) => {
+        const db = new sqlite.Database(dbPath, sqlite.OPEN_READONLY, e => e ? reject(e) : resolve(db));
+    });
+    try {
+        const rows = await new Promise((resolve, reject) => {
+            db.all(`
+                SELECT GamesId.fullname,
+                       hex(GamesSources.sha256) AS sha256,
+                       hex(GamesSources.sha1)   AS sha1,
+                       hex(GamesSources.md5)    AS md5,
+                       hex(GamesSources.crc32)  AS crc32
+                FROM GamesId
+                         LEFT JOIN GamesSources ON GamesSources.gamesId = GamesId.id
+            `, (e, rows) => e ? reject(e) : resolve(rows));
+        });
+
+        const games = new Map();
+        for (const row of rows) {
+            const sources = games.get(row.fullname) ?? new Set();
+            for (const algorithm of ['sha256', 'sha1', 'md5', 'crc32']) {
+                if (row[algorithm]) {
+                    sources.add(`${algorithm}:${row[algorithm]}`);
+                }
+            }
+            games.set(row.fullname, sources);
+        }
+        return games;
+    } finally {
+        await new Promise(resolve => db.close(() => resolve()));
+    }
+}
+
+/**
+ * Compare the games of two games databases. A game removed while another one with one of
+ * its source hashes was added is considered renamed.
+ * @param {string|null} beforePath
+ * @param {string|null} afterPath
+ * @returns {Promise<{added: string[], removed: string[], renamed: {from: string, to: string}[]}>}
+ */
+export async function diffGames(beforePath, afterPath) {
+    const before = beforePath ? await readGames(beforePath) : new Map();
+    const after = afterPath ? await readGames(afterPath) : new Map();
+
+    const added = [...after.keys()].filter(name => !before.has(name));
+    const removed = [...before.keys()].filter(name => !after.has(name));
+    const renamed = [];
+
+    for (const from of [...removed]) {
+        const sources = before.get(from);
+        const to = added.find(name => [...after.get(name)].some(s => sources.has(s)));
+        if (to !== undefined) {
+            renamed.push({from, to});
+            removed.splice(removed.indexOf(from), 1);
+            added.splice(added.indexOf(to), 1);
+        }
+    }
+
+    return {added, removed, renamed};
+}
+
+/**
+ * Describe an entry added or removed (a core or a system).
+ * @param {Record} entry
+ * @returns {{uniqueName: string, name: string, version: string}}
+ */
+function summary(entry) {
+    return {uniqueName: entry.uniqueName, name: entry.name, version: entry.version ?? entry.releases?.[0]?.version};
+}
+
+/**
+ * Compare the cores of two channels.
+ */
+async function diffCores(before, after) {
+    const [old, cur] = [await readDocument(before, 'cores', true), await readDocument(after, 'cores', true)];
+    const result = {added: [], removed: [], updated: []};
+
+    for (const [name, core] of Object.entries(cur)) {
+        const previous = old[name];
+        if (!previous) {
+            result.added.push({...summary(core), releases: core.releases.map(r => r.version)});
+            continue;
+        }
+
+        const releases = diffReleases(previous.releases, core.releases);
+        if (releases.added.length + releases.removed.length + releases.files.length > 0) {
+            result.updated.push({uniqueName: core.uniqueName, name: core.name, ...releases});
+        }
+    }
+    for (const [name, core] of Object.entries(old)) {
+        if (!cur[name]) {
+            result.removed.push(summary(core));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Compare the systems of two channels, including their games databases.
+ */
+async function diffSystems(before, after) {
+    const [old, cur] = [await readDocument(before, 'systems', true), await readDocument(after, 'systems', true)];
+    const result = {added: [], removed: [], updated: []};
+    const dbPath = (s) => s?.db ? path.join(path.dirname(s.path), s.db.url) : null;
+
+    for (const [name, system] of Object.entries(cur)) {
+        const previous = old[name];
+        if (!previous) {
+            result.added.push(summary(system));
+            continue;
+        }
+
+        if (previous.db?.sha256 === system.db?.sha256) {
+            continue;
+        }
+        result.updated.push({
+            uniqueName: system.uniqueName,
+            name: system.name,
+            db: {
+                fromVersion: previous.db?.version ?? null,
+                toVersion: system.db?.version ?? null,
+                from: previous.db?.sha256 ?? null,
+                to: system.db?.sha256 ?? null,
+            },
+            games: await diffGames(dbPath(previous), dbPath(system)),
+        });
+    }
+    for (const [name, system] of Object.entries(old)) {
+        if (!cur[name]) {
+            result.removed.push(summary(system));
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Compare the releases (of 1FPGA itself) of two channels.
+ */
+async function diffChannelReleases(before, after) {
+    const [old, cur] = [await readDocument(before, 'releases', false), await readDocument(after, 'releases', false)];
+    const result = {added: [], removed: [], updated: []};
+
+    for (const name of new Set([...Object.keys(old), ...Object.keys(cur)])) {
+        const releases = diffReleases(old[name], cur[name]);
+        result.added.push(...releases.added.map(version => ({name, version})));
+        result.removed.push(...releases.removed.map(version => ({name, version})));
+        if (releases.files.length > 0) {
+            result.updated.push({name, files: releases.files});
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Check if a part of a changelog has any change.
+ * @param {Record<string, Array>} changes
+ * @returns {boolean}
+ */
+function hasChanges(changes) {
+    return Object.values(changes).some(c => c.length > 0);
+}
+
+/**
+ * Compare two builds.
+ * @param {string} beforeRoot The `dist/` folder of the previous build.
+ * @param {string} afterRoot The `dist/` folder of the new build.
+ * @returns {Promise<Record>} The changelog.
+ */
+export async function diffBuilds(beforeRoot, afterRoot) {
+    const [before, after] = [await readBuild(beforeRoot), await readBuild(afterRoot)];
+    const channels = {};
+
+    for (const id of new Set([...Object.keys(before.channels), ...Object.keys(after.channels)])) {
+        const changes = {
+            cores: await diffCores(before.channels[id], after.channels[id]),
+            systems: await diffSystems(before.channels[id], after.channels[id]),
+            releases: await diffChannelReleases(before.channels[id], after.channels[id]),
+        };
+        if (Object.values(changes).some(hasChanges)) {
+            channels[id] = changes;
+        }
+    }
+
+    return {
+        fromVersion: before.catalog.version,
+        toVersion: after.catalog.version,
+        channels,
+    };
+}
+
+/**
+ * Format a list of games for the Markdown summary, truncated to a few entries.
+ * @param {string[]} games
+ * @returns {string}
+ */
+function gameList(games) {
+    const shown = games.slice(0, MARKDOWN_MAX_GAMES).join(', ');
+    return games.length > MARKDOWN_MAX_GAMES ? `${shown} and ${games.length - MARKDOWN_MAX_GAMES} more` : shown;
+}
+
+/**
+ * Render a changelog as Markdown.
+ * @param {Record} changelog The result of `diffBuilds`.
+ * @returns {string}
+ */
+export function changelogMarkdown(changelog) {
+    const lines = ['# Changelog', '', `Catalog ${changelog.fromVersion} → ${changelog.toVersion}.`];
+
+    if (Object.keys(changelog.channels).length === 0) {
+        lines.push('', 'No changes.');
+    }
+
+    for (const [id, {cores, systems, releases}] of Object.entries(changelog.channels)) {
+        lines.push('', `## Channel ${id}`);
+
+        if (hasChanges(cores)) {
+            lines.push('', '### Cores', '');
+            for (const c of cores.added) {
+                lines.push(`- Added **${c.name}** (${c.uniqueName}), version ${c.releases.join(', ')}.`);
+            }
+            for (const c of cores.updated) {
+                const parts = [];
+                if (c.added.length > 0) {
+                    parts.push(`new release ${c.added.join(', ')}`);
+                }
+                if (c.removed.length > 0) {
+                    parts.push(`removed release ${c.removed.join(', ')}`);
+                }
+                if (c.files.length > 0) {
+                    parts.push(`changed files ${c.files.map(f => `\`${f.url}\``).join(', ')}`);
+                }
+                lines.push(`- Updated **${c.name}** (${c.uniqueName}): ${parts.join('; ')}.`);
+            }
+            for (const c of cores.removed) {
+                lines.push(`- Removed **${c.name}** (${c.uniqueName}).`);
+            }
+        }
+
+        if (hasChanges(systems)) {
+            lines.push('', '### Systems', '');
+            for (const s of systems.added) {
+                lines.push(`- Added **${s.name}** (${s.uniqueName}).`);
+            }
+            for (const s of systems.updated) {
+                const {added, removed, renamed} = s.games;
+                lines.push(`- Updated the **${s.name}** games database (${s.db.fromVersion ?? 'none'} → ${s.db.toVersion ?? 'none'}): `
+                    + `${added.length} added, ${removed.length} removed, ${renamed.length} renamed.`);
+                if (added.length > 0) {
+                    lines.push(`  - Added: ${gameList(added)}.`);
+                }
+                if (removed.length > 0) {
+                    lines.push(`  - Removed: ${gameList(removed)}.`);
+                }
+                if (renamed.length > 0) {
+                    lines.push(`  - Renamed: ${gameList(renamed.map(r => `${r.from} → ${r.to}`))}.`);
+                }
+            }
+            for (const s of systems.removed) {
+                lines.push(`- Removed **${s.name}** (${s.uniqueName}).`);
+            }
+        }
+
+        if (hasChanges(releases)) {
+            lines.push('', '### Releases', '');
+            for (const r of releases.added) {
+                lines.push(`- Added ${r.name} ${r.version}.`);
+            }
+            for (const r of releases.updated) {
+                lines.push(`- Changed files of ${r.name}: ${r.files.map(f => `\`${f.url}\``).join(', ')}.`);
+            }
+            for (const r of releases.removed) {
+                lines.push(`- Removed ${r.name} ${r.version}.`);
+            }
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,38 @@
+import fs from 'node:fs/promises';
+import {changelogMarkdown, diffBuilds} from './catalog-diff.js';
+
+// Compare two builds and print what changed between them, as Markdown (the default) or JSON.
+//
+// Usage: npm run changelog -- [--json] [--output changelog.md] <previous-dist> [dist]
+
+const args = process.argv.slice(2);
+const dirs = [];
+let json = false;
+let output = undefined;
+
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--json':
+            json = true;
+            break;
+        case '--output':
+        case '-o':
+            output = args[++i];
+            break;
+        default:
+            dirs.push(args[i]);
+    }
+}
+
+if (dirs.length < 1 || dirs.length > 2) {
+    console.error('Usage: npm run changelog -- [--json] [--output changelog.md] <previous-dist> [dist]');
+    process.exit(1);
+}
+
+const changelog = await diffBuilds(dirs[0], dirs[1] ?? 'dist');
+const content = json ? JSON.stringify(changelog, null, 2) + '\n' : changelogMarkdown(changelog);
+if (output) {
+    await fs.writeFile(output, content, 'utf8');
+} else {
+    process.stdout.write(content);
+}
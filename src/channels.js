@@ -0,0 +1,142 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+
+/**
+ * The documents every channel folder contains (as TOML in the sources, JSON in `dist/`).
+ * Channels inheriting from another channel can omit any of them, and every channel can omit
+ * its playlists (the build publishes an empty `playlists.json`).
+ */
+export const CHANNEL_DOCUMENTS = ['cores', 'systems', 'releases', 'playlists'];
+
+/**
+ * A release channel, as declared in `catalog.toml`.
+ * @typedef {Object} Channel
+ * @property {string} id The unique name of the channel, which is also its folder name.
+ * @property {string} name The display name of the channel.
+ * @property {string?} description A description of the channel.
+ * @property {string|null} inherits The channel this channel inherits from, if any.
+ */
+
+/**
+ * Return the channels of the catalog, ordered so that every channel comes after the
+ * channel it inherits from.
+ * @param {Record} catalog The catalog (`catalog.toml`).
+ * @returns {Channel[]}
+ * @throws {Error} If a channel inherits from an unknown channel, or if there is a cycle.
+ */
+export function orderChannels(catalog) {
+    const declared = catalog.channels ?? {};
+    const result = [];
+    const visiting = new Set();
+    const done = new Set();
+
+    function visit(id, chain) {
+        if (done.has(id)) {
+            return;
+        }
+        if (!Object.hasOwn(declared, id)) {
+            throw new Error(`Channel ${JSON.stringify(chain.at(-1))} inherits from unknown channel ${JSON.stringify(id)}.`);
+        }
+        if (visiting.has(id)) {
+            throw new Error(`Channels inherit from each other in a cycle: ${[...chain, id].join(' -> ')}.`);
+        }
+
+        visiting.add(id);
+        const {inherits = null, name = id, description} = declared[id];
+        if (inherits !== null) {
+            visit(inherits, [...chain, id]);
+        }
+        visiting.delete(id);
+
+        done.add(id);
+        result.push({id, name, description, inherits});
+    }
+
+    for (const id of Object.keys(declared)) {
+        visit(id, []);
+    }
+    return result;
+}
+
+/**
+ * Rewrite a URL relative to `fromDir` so it is relative to `toDir` instead.
+ * @param {string} url The URL, relative to `fromDir`.
+ * @param {string} fromDir
+ * @param {string} toDir
+ * @returns {string}
+ */
+export function rebaseUrl(url, fromDir, toDir) {
+    const rel = path.relative(toDir, path.resolve(fromDir, url)).split(path.sep).join('/');
+    return rel.startsWith('.') ? rel : `./${rel}`;
+}
+
+/**
+ * Read a JSON file, or return `null` if it doesn't exist.
+ * @param {string} p The path of the file.
+ * @returns {Promise<*>}
+ */
+async function readJsonOrNull(p) {
+    try {
+        return JSON.parse(await fs.readFile(p, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Merge the (already built) documents of the parent channel into a channel's documents in
+ * `dist/`. Entries declared by the channel itself win over the parent's; inherited entries
+ * keep pointing to the parent's files (their URLs are rewritten), so nothing is copied.
+ *
+ * @param {string} distRoot The `dist/` folder.
+ * @param {Channel} channel The channel to complete.
+ */
+export async function inheritChannel(distRoot, channel) {
+    if (channel.inherits === null) {
+        return;
+    }
+
+    const dir = path.join(distRoot, channel.id);
+    const parentDir = path.join(distRoot, channel.inherits);
+    await fs.mkdir(dir, {recursive: true});
+
+    for (const doc of CHANNEL_DOCUMENTS) {
+        const parent = await readJsonOrNull(path.join(parentDir, `${doc}.json`)) ?? {};
+        const own = await readJsonOrNull(path.join(dir, `${doc}.json`)) ?? {};
+
+        for (const [key, value] of Object.entries(parent)) {
+            if (Object.hasOwn(own, key)) {
+                continue;
+            }
+
+            const entry = structuredClone(value);
+            if (doc === 'releases') {
+                // Releases are lists of versions, each containing files.
+                for (const r of entry) {
+                    for (const f of r.files ?? []) {
+                        f.url = rebaseUrl(f.url, parentDir, dir);
+                    }
+                }
+            } else {
+                entry.url = rebaseUrl(entry.url, parentDir, dir);
+            }
+            own[key] = entry;
+        }
+
+        await fs.writeFile(path.join(dir, `${doc}.json`), JSON.stringify(own), 'utf8');
+    }
+}
+
+/**
+ * Check whether `p` is inside the directory `dir`.
+ * @param {string} dir
+ * @param {string} p
+ * @returns {boolean}
+ */
+export function isInside(dir, p) {
+    const rel = path.relative(dir, p);
+    return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
@@ -0,0 +1,101 @@
+import sqlite from 'sqlite3';
+
+/**
+ * Compatibility between cores and the games databases of their systems. Cores can declare
+ * the extensions each load slot accepts and the BIOS files they need; the build checks them
+ * against the extensions of the games (`GamesSources`) and the known BIOS files (`Bios`) of
+ * the databases of the core's systems.
+ *
+ * A system can have several cores (e.g. one for cartridges and one for disks), so every game
+ * of a system must be loadable by a slot of any of its cores, not of each of them.
+ */
+
+/**
+ * What a system's games database knows about the files it identifies.
+ * @typedef {Object} SystemFiles
+ * @property {Set<string>} extensions The extensions of the games' files, lowercase.
+ * @property {{name: string, sha256: string|null, size: number|null}[]} bios The known BIOS files.
+ */
+
+/**
+ * Normalize an extension (`.NES` becomes `nes`).
+ * @param {string} ext
+ * @returns {string}
+ */
+function normalizeExtension(ext) {
+    return ext.replace(/^\./, '').toLowerCase();
+}
+
+/**
+ * Read the extensions and known BIOS files of a games database.
+ * @param {string} dbPath
+ * @returns {Promise<SystemFiles>}
+ */
+export async function readSystemFiles(dbPath) {
+    const db = await new Promise((resolve, reject) => {
+        const db = new sqlite.Database(dbPath, sqlite.OPEN_READONLY, e => e ? reject(e) : resolve(db));
+    });
+    const all = (query) => new Promise((resolve, reject) => {
+        db.all(query, (e, rows) => e ? reject(e) : resolve(rows));
+    });
+
+    try {
+        const extensions = await all('SELECT DISTINCT extension FROM GamesSources WHERE extension IS NOT NULL');
+        const bios = await all('SELECT name, lower(hex(sha256)) AS sha256, size FROM Bios');
+        return {
+            extensions: new Set(extensions.map(r => normalizeExtension(r.extension))),
+            bios: bios.map(b => ({name: b.name, sha256: b.sha256 || null, size: b.size})),
+        };
+    } finally {
+        await new Promise(resolve => db.close(() => resolve()));
+    }
+}
+
+/**
+ * Check that every game of a system's games database is loadable by a slot of its cores.
+ * Cores that don't declare their slots are not checked.
+ * @param {SystemFiles} files The files of the system.
+ * @param {Record<string, Record>} cores The core JSON of each core of the system.
+ * @returns {string|null} The issue found, if any.
+ */
+export function checkSystemCompat(files, cores) {
+    const withSlots = Object.entries(cores).filter(([, c]) => c.slots);
+    if (withSlots.length === 0) {
+        return null;
+    }
+
+    const accepted = new Set(withSlots.flatMap(([, c]) => c.slots.flatMap(s => s.extensions.map(normalizeExtension))));
+    const missing = [...files.extensions].filter(e => !accepted.has(e)).sort();
+    if (missing.length === 0) {
+        return null;
+    }
+    return `no slot of the core(s) ${withSlots.map(([name]) => name).join(', ')} accepts the extension(s) `
+        + `${missing.map(e => `.${e}`).join(', ')} of games in the games database`;
+}
+
+/**
+ * Check a core against the games databases of its systems.
+ * @param {Record} core The core JSON.
+ * @param {Record<string, SystemFiles|null>} systems The files of each system of the channel,
+ *        or `null` for systems without a games database.
+ * @returns {{path: string, message: string}[]} The issues found.
+ */
+export function checkCoreCompat(core, systems) {
+    const issues = [];
+    const files = (core.systems ?? []).map(s => [s, systems[s]]).filter(([, f]) => f);
+
+    // A BIOS file known by a system must have the hash and size the system expects.
+    (core.bios ?? []).forEach((b, i) => {
+        const known = files.flatMap(([, {bios}]) => bios).filter(k => k.name.toLowerCase() === b.name.toLowerCase());
+        const matches = known.some(k => (k.sha256 === null || k.sha256 === b.sha256.toLowerCase())
+            && (k.size === null || k.size === b.size));
+        if (known.length > 0 && !matches) {
+            issues.push({
+                path: `bios[${i}]`,
+                message: `${JSON.stringify(b.name)} does not match the BIOS known by the games database (sha256 ${known.map(k => k.sha256).join(' or ')})`,
+            });
+        }
+    });
+
+    return issues;
+}
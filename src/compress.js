@@ -0,0 +1,73 @@
+import {createReadStream, createWriteStream} from 'node:fs';
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import {pipeline} from 'node:stream/promises';
+import * as zlib from 'node:zlib';
+import {listFiles} from './cache.js';
+
+/**
+ * Precompressed variants of the files of `dist/`, so that servers (see `serve.js`) can send
+ * them as is to clients accepting a compressed response.
+ */
+
+/** The extensions of the files worth compressing. */
+export const COMPRESSIBLE_EXTENSIONS = ['.json', '.sqlite', '.sh', '.txt', '.md'];
+
+/**
+ * Files larger than this (in bytes, e.g. games databases) are compressed with a lower brotli
+ * quality: the maximum one takes minutes on them, for a few percent smaller variants.
+ */
+const LARGE_FILE_SIZE = 4 * 1024 * 1024;
+
+/** The brotli quality of large files. */
+const LARGE_FILE_BROTLI_QUALITY = 9;
+
+/**
+ * The compressed variants, by `Content-Encoding`, with their extension and a function creating
+ * the compression stream of a file of a given size.
+ */
+export const ENCODINGS = {
+    br: {
+        extension: '.br',
+        create: size => zlib.createBrotliCompress({
+            params: {
+                [zlib.constants.BROTLI_PARAM_QUALITY]: size > LARGE_FILE_SIZE
+                    ? LARGE_FILE_BROTLI_QUALITY
+                    : zlib.constants.BROTLI_MAX_QUALITY,
+                [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size,
+            },
+        }),
+    },
+    gzip: {
+        extension: '.gz',
+        create: () => zlib.createGzip({level: 9}),
+    },
+};
+
+/**
+ * Write the compressed variants of every compressible file of a folder next to it (e.g.
+ * `catalog.json.gz` and `catalog.json.br`). Variants that are not smaller than the file are
+ * not kept.
+ * @param {string} dir The folder, usually `dist/`.
+ * @param {import('./cache.js').BuildCache} cache
+ */
+export async function compressFiles(dir, cache) {
+    for (const f of await listFiles(dir)) {
+        if (!COMPRESSIBLE_EXTENSIONS.includes(path.extname(f))) {
+            continue;
+        }
+
+        const {size} = await fs.stat(f);
+        for (const {extension, create} of Object.values(ENCODINGS)) {
+            const dest = f + extension;
+            await cache.derive(f, dest, async () => {
+                await pipeline(createReadStream(f), create(size), createWriteStream(dest));
+                if ((await fs.stat(dest)).size >= size) {
+                    await fs.rm(dest);
+                    return false;
+                }
+                return true;
+            });
+        }
+    }
+}
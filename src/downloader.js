@@ -0,0 +1,214 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import {hashFile} from './cache.js';
+import {maxVersion} from './versions.js';
+
+/**
+ * The MiSTer Downloader database (`db.json`). It lists files to install on the SD card with
+ * their md5 and size, the folders they go in, and a dictionary of the tags users can filter
+ * files with.
+ *
+ * Besides the files listed by hand in `db.toml`, it can offer the latest release of every
+ * core of a channel and the 1FPGA binary, taken from the built catalog.
+ */
+
+/** The SD card folder of the cores of each system category. */
+export const CATEGORY_FOLDERS = {
+    console: '_Console',
+    computer: '_Computer',
+    arcade: '_Arcade/cores',
+    handheld: '_Console',
+    utility: '_Utility',
+    other: '_Other',
+};
+
+/**
+ * Where the catalog entries come from, the `[catalog]` table of `db.toml`.
+ * @typedef {Object} DownloaderCatalogConfig
+ * @property {string} baseUrl The URL `dist/` is published at.
+ * @property {string} [channel] The channel to take cores and releases from (the default
+ *           channel of the catalog if missing).
+ * @property {boolean} [cores] Whether to offer the latest release of every core (true by default).
+ * @property {string} [platform] The platform to offer the 1FPGA binary for, if any.
+ */
+
+/**
+ * Normalize a catalog tag into a Downloader tag (lowercase letters and digits).
+ * @param {string} tag
+ * @returns {string}
+ */
+function tagName(tag) {
+    return tag.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Return the folders a file of the SD card is in, outermost first (e.g. `_Arcade` and
+ * `_Arcade/cores` for `_Arcade/cores/file.rbf`). The Downloader expects all of them in `folders`.
+ * @param {string} p
+ * @returns {string[]}
+ */
+function parentFolders(p) {
+    const parts = p.split('/').slice(0, -1);
+    return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Read a JSON file.
+ * @param {string} p
+ * @returns {Promise<*>}
+ */
+async function readJson(p) {
+    return JSON.parse(await fs.readFile(p, 'utf8'));
+}
+
+/**
+ * Fill the md5 and size of the files of the database that are in `sourceDir` (e.g.
+ * `Scripts/1fpga.sh`).
+ * @param {Record} db The database, as read from `db.toml`.
+ * @param {string} sourceDir The folder of `db.toml`.
+ */
+export async function hashLocalFiles(db, sourceDir) {
+    for (const [p, f] of Object.entries(db.files ?? {})) {
+        const local = path.join(sourceDir, p);
+        const stat = await fs.stat(local).catch(() => null);
+        if (stat?.isFile()) {
+            f.hash = await hashFile(local, 'md5');
+            f.size = stat.size;
+        }
+    }
+}
+
+/**
+ * Add the latest release of every core and the 1FPGA binary of a channel to the database.
+ * @param {Record} db The database.
+ * @param {DownloaderCatalogConfig} config
+ * @param {string} distRoot The `dist/` folder, with the catalog built.
+ */
+export async function addCatalogFiles(db, config, distRoot) {
+    const baseUrl = config.baseUrl.replace(/\/$/, '');
+    const rootCatalog = await readJson(path.join(distRoot, 'catalog.json'));
+    const channel = config.channel ?? rootCatalog.defaultChannel;
+    if (!rootCatalog.channels?.[channel]) {
+        throw new Error(`Unknown channel ${JSON.stringify(channel)} for the downloader database.`);
+    }
+    const catalogPath = path.join(distRoot, rootCatalog.channels[channel].url);
+    const catalog = await readJson(catalogPath);
+
+    db.files ??= {};
+    db.folders ??= {};
+    db.tag_dictionary ??= {};
+
+    // New tags are numbered after the ones declared in `db.toml`.
+    let nextTag = Math.max(-1, ...Object.values(db.tag_dictionary)) + 1;
+    const tagId = (tag) => {
+        const name = tagName(tag);
+        if (db.tag_dictionary[name] === undefined) {
+            db.tag_dictionary[name] = nextTag++;
+        }
+        return db.tag_dictionary[name];
+    };
+
+    const addFile = async (fPath, dest, tags) => {
+        for (const folder of parentFolders(dest)) {
+            db.folders[folder] ??= {};
+        }
+        db.files[dest] = {
+            hash: await hashFile(fPath, 'md5'),
+            size: (await fs.stat(fPath)).size,
+            url: `${baseUrl}/${path.relative(distRoot, fPath).split(path.sep).join('/')}`,
+            tags: [...new Set(tags.map(tagId))],
+        };
+    };
+
+    if (config.cores ?? true) {
+        const systemsPath = path.join(path.dirname(catalogPath), catalog.systems.url);
+        const systems = {};
+        for (const [name, s] of Object.entries(await readJson(systemsPath))) {
+            systems[name] = await readJson(path.join(path.dirname(systemsPath), s.url));
+        }
+
+        const coresPath = path.join(path.dirname(catalogPath), catalog.cores.url);
+        for (const c of Object.values(await readJson(coresPath))) {
+            const cPath = path.join(path.dirname(coresPath), c.url);
+            const core = await readJson(cPath);
+            const version = core.releaseTags?.latest ?? maxVersion(core.releases.map(r => r.version));
+            const release = core.releases.find(r => r.version === version);
+            const coreSystems = core.systems.map(s => systems[s]).filter(s => s);
+            const folder = CATEGORY_FOLDERS[coreSystems[0]?.category ?? 'other'];
+            const tags = ['cores', ...core.tags, ...coreSystems.flatMap(s => [s.uniqueName, ...s.tags])];
+
+            for (const f of (release?.files ?? []).filter(f => f.type === 'mister.core.rbf')) {
+                const name = `${path.posix.basename(f.url, '.rbf')}_${version}.rbf`;
+                await addFile(path.join(path.dirname(cPath), f.url), `${folder}/${name}`, tags);
+            }
+        }
+    }
+
+    if (config.platform) {
+        const releasesDir = path.dirname(path.join(path.dirname(catalogPath), catalog.releases.url));
+        for (const [name, {url}] of Object.entries(catalog.releases.latest ?? {})) {
+            const latestPath = path.join(releasesDir, url);
+            const latest = (await readJson(latestPath)).platforms[config.platform];
+            for (const f of latest?.files ?? []) {
+                await addFile(path.join(path.dirname(latestPath), f.url), path.posix.basename(f.url), [name]);
+            }
+        }
+    }
+}
+
+/**
+ * Check a database against the Downloader database format.
+ * @param {Record} db
+ * @returns {string[]} The issues found.
+ */
+export function checkDownloaderDb(db) {
+    const issues = [];
+    const tagIds = new Set(Object.values(db.tag_dictionary ?? {}));
+    const checkPath = (p, what) => {
+        if (p === '' || p.startsWith('/') || p.split('/').includes('..')) {
+            issues.push(`${what} ${JSON.stringify(p)}: must be a relative path inside the SD card`);
+        }
+    };
+    const checkTags = (tags, what) => {
+        if (tags !== undefined && (!Array.isArray(tags) || tags.some(t => !tagIds.has(t)))) {
+            issues.push(`${what}: tags must be ids of the tag_dictionary`);
+        }
+    };
+
+    if (typeof db.db_id !== 'string' || db.db_id === '') {
+        issues.push('db_id: expected a non-empty string');
+    }
+    if (!Number.isInteger(db.timestamp)) {
+        issues.push('timestamp: expected an integer');
+    }
+    for (const [name, id] of Object.entries(db.tag_dictionary ?? {})) {
+        if (!/^[a-z0-9]+$/.test(name) || !Number.isInteger(id)) {
+            issues.push(`tag_dictionary.${name}: expected a lowercase alphanumeric name and an integer id`);
+        }
+    }
+    if (tagIds.size !== Object.keys(db.tag_dictionary ?? {}).length) {
+        issues.push('tag_dictionary: ids must be unique');
+    }
+    for (const [p, f] of Object.entries(db.files ?? {})) {
+        checkPath(p, 'files');
+        if (typeof f.hash !== 'string' || !/^[0-9a-f]{32}$/.test(f.hash)) {
+            issues.push(`files.${p}.hash: expected an md5`);
+        }
+        if (!Number.isInteger(f.size) || f.size < 0) {
+            issues.push(`files.${p}.size: expected a positive integer`);
+        }
+        if (f.url !== undefined && !/^https?:\/\//.test(f.url)) {
+            issues.push(`files.${p}.url: expected an http(s) URL`);
+        }
+        checkTags(f.tags, `files.${p}`);
+        for (const folder of parentFolders(p).filter(folder => !Object.hasOwn(db.folders ?? {}, folder))) {
+            issues.push(`files.${p}: its folder ${JSON.stringify(folder)} is not in folders`);
+        }
+    }
+    for (const [p, f] of Object.entries(db.folders ?? {})) {
+        checkPath(p, 'folders');
+        checkTags(f.tags, `folders.${p}`);
+    }
+
+    return issues;
+}
@@ -0,0 +1,356 @@
+import {createWriteStream} from 'node:fs';
+import fs from 'node:fs/promises';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import archiver from 'archiver';
+import {hashFile, listFiles} from './cache.js';
+import {CHANNEL_DOCUMENTS, rebaseUrl} from './channels.js';
+import {loadPublicKey, loadSigningKey, MANIFEST_NAME, signFile, writeManifest} from './signing.js';
+import {maxVersion} from './versions.js';
+
+// Export a channel of the built catalog as a self-contained bundle, to install from an SD card
+// without network or to publish on a mirror. The bundle keeps the layout of `dist/` with only
+// the selected systems and cores (and their files), and the playlists of their games, so every
+// URL stays relative to the document it is in. Sizes, sha256 and signatures of the files are
+// kept; the documents are re-signed (with `ONEFPGA_SIGNING_KEY`, like the build) and listed in
+// a new manifest.
+//
+// `bundle.json`, at the root of the bundle, describes what was exported and lists every file
+// of the bundle with its size and sha256, for 1FPGA to check before importing it.
+//
+// Without `--system` or `--core`, every system and core of the channel is exported. Selecting
+// systems also selects their cores, and selecting cores also selects their systems. With
+// `--latest-only`, only the latest release of each core and 1FPGA release is exported.
+// With `--base-url`, every URL is made absolute under that URL, for a mirror serving the
+// bundle from there. With `--output` ending in `.zip`, the bundle is zipped.
+//
+// The MiSTer Downloader database (`db/`) is not exported: it is built for the host in `db.toml`.
+//
+// Usage: npm run export -- [--channel stable] [--system nes]... [--core mister-nes]...
+//            [--latest-only] [--base-url https://mirror.example.com/1fpga] [--output export] [dist]
+
+const USAGE = 'Usage: npm run export -- [--channel stable] [--system nes]... [--core mister-nes]... '
+    + '[--latest-only] [--base-url https://...] [--output export] [dist]';
+
+/** The name of the file describing the bundle, at its root. */
+const BUNDLE_NAME = 'bundle.json';
+
+const args = process.argv.slice(2);
+const options = {channel: undefined, systems: [], cores: [], latestOnly: false, baseUrl: null, output: 'export'};
+const positional = [];
+
+/**
+ * Return the value of the option at `i`, or exit with the usage if it's missing.
+ * @param {number} i
+ * @returns {string}
+ */
+function optionValue(i) {
+    if (args[i] === undefined) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+    return args[i];
+}
+
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--channel':
+        case '--output':
+            options[args[i].slice(2)] = optionValue(++i);
+            break;
+        case '--base-url':
+            options.baseUrl = optionValue(++i).replace(/\/+$/, '');
+            break;
+        case '--system':
+            options.systems.push(optionValue(++i));
+            break;
+        case '--core':
+            options.cores.push(optionValue(++i));
+            break;
+        case '--latest-only':
+            options.latestOnly = true;
+            break;
+        default:
+            positional.push(args[i]);
+    }
+}
+
+if (positional.length > 1) {
+    console.error(USAGE);
+    process.exit(1);
+}
+if (options.baseUrl !== null && !/^https?:\/\/./.test(options.baseUrl)) {
+    console.error(`The base URL must be an http(s) URL, found ${JSON.stringify(options.baseUrl)}.`);
+    process.exit(1);
+}
+
+const distRoot = path.resolve(positional[0] ?? 'dist');
+const output = path.resolve(options.output);
+const zip = output.endsWith('.zip');
+
+if (await fs.stat(output).catch(() => null)) {
+    console.error(`${path.relative(process.cwd(), output)} already exists; remove it or choose another --output.`);
+    process.exit(1);
+}
+
+/**
+ * Read a JSON file.
+ * @param {string} p
+ * @returns {Promise<*>}
+ */
+async function readJson(p) {
+    return JSON.parse(await fs.readFile(p, 'utf8'));
+}
+
+/**
+ * Return the path in the bundle of a path in `dist/`.
+ * @param {string} p
+ * @returns {string}
+ */
+function bundlePath(p) {
+    return path.join(root, path.relative(distRoot, p));
+}
+
+/**
+ * Make every URL of a document absolute under the base URL.
+ * @param {*} value The JSON value.
+ * @param {string} dir The folder of the document, in `dist/`.
+ */
+function absoluteUrls(value, dir) {
+    if (Array.isArray(value)) {
+        value.forEach(v => absoluteUrls(v, dir));
+    } else if (value !== null && typeof value === 'object') {
+        if (typeof value.url === 'string') {
+            value.url = `${options.baseUrl}/${path.relative(distRoot, path.resolve(dir, value.url)).split(path.sep).join('/')}`;
+        }
+        Object.values(value).forEach(v => absoluteUrls(v, dir));
+    }
+}
+
+/**
+ * Write a document of `dist/` in the bundle.
+ * @param {string} p The path of the document in `dist/`.
+ * @param {*} doc The (filtered) document.
+ */
+async function writeDocument(p, doc) {
+    if (options.baseUrl !== null) {
+        absoluteUrls(doc, path.dirname(p));
+    }
+    await fs.mkdir(path.dirname(bundlePath(p)), {recursive: true});
+    await fs.writeFile(bundlePath(p), JSON.stringify(doc), 'utf8');
+}
+
+/**
+ * Copy a file of `dist/` to the bundle, with its signature if it has one.
+ * @param {string} p The path of the file in `dist/`.
+ */
+async function copyFile(p) {
+    await fs.mkdir(path.dirname(bundlePath(p)), {recursive: true});
+    await fs.copyFile(p, bundlePath(p));
+    await fs.copyFile(`${p}.sig`, `${bundlePath(p)}.sig`).catch(e => {
+        if (e.code !== 'ENOENT') {
+            throw e;
+        }
+    });
+}
+
+/**
+ * Copy the files of releases to the bundle.
+ * @param {{files: {url: string}[]}[]} releases
+ * @param {string} dir The folder of the document the URLs are relative to, in `dist/`.
+ */
+async function copyReleaseFiles(releases, dir) {
+    for (const f of releases.flatMap(r => r.files)) {
+        await copyFile(path.resolve(dir, f.url));
+    }
+}
+
+/**
+ * Keep only the releases to export, and the tags pointing to them.
+ * @param {{version: string, tags?: string[]}[]} releases
+ * @param {Record<string, string>} tags The resolved tags of the releases.
+ * @returns {{releases: Array, tags: Record<string, string>}}
+ */
+function selectReleases(releases, tags = {}) {
+    if (options.latestOnly) {
+        const latest = tags.latest ?? maxVersion(releases.map(r => r.version));
+        releases = releases.filter(r => r.version === latest);
+    }
+    const versions = new Set(releases.map(r => r.version));
+    return {releases, tags: Object.fromEntries(Object.entries(tags).filter(([, v]) => versions.has(v)))};
+}
+
+const rootCatalogPath = path.join(distRoot, 'catalog.json');
+const rootCatalog = await readJson(rootCatalogPath).catch(e => {
+    console.error(`Could not read ${path.relative(process.cwd(), rootCatalogPath)} (${e.message}); build the catalog first.`);
+    process.exit(1);
+});
+const channel = options.channel ?? rootCatalog.defaultChannel;
+if (!rootCatalog.channels?.[channel]) {
+    console.error(`Unknown channel ${JSON.stringify(channel)}; the catalog has ${Object.keys(rootCatalog.channels ?? {}).join(', ')}.`);
+    process.exit(1);
+}
+
+const root = zip ? await fs.mkdtemp(path.join(os.tmpdir(), '1fpga-export-')) : output;
+const catalogPath = path.join(distRoot, rootCatalog.channels[channel].url);
+const catalogDir = path.dirname(catalogPath);
+const catalog = await readJson(catalogPath);
+
+// Select the cores and systems.
+const coresPath = path.join(catalogDir, catalog.cores.url);
+const systemsPath = path.join(catalogDir, catalog.systems.url);
+const coresData = await readJson(coresPath);
+const systemsData = await readJson(systemsPath);
+const coreDocs = {};
+for (const [name, c] of Object.entries(coresData)) {
+    coreDocs[name] = await readJson(path.join(path.dirname(coresPath), c.url));
+}
+
+for (const [what, names, known] of [['system', options.systems, systemsData], ['core', options.cores, coresData]]) {
+    const unknown = names.filter(n => !Object.hasOwn(known, n));
+    if (unknown.length > 0) {
+        console.error(`Unknown ${what}(s) in channel ${JSON.stringify(channel)}: ${unknown.join(', ')}.`);
+        process.exit(1);
+    }
+}
+
+const selectAll = options.systems.length === 0 && options.cores.length === 0;
+const cores = Object.keys(coresData).filter(name => selectAll
+    || options.cores.includes(name)
+    || coreDocs[name].systems.some(s => options.systems.includes(s)));
+const systems = Object.keys(systemsData).filter(name => selectAll
+    || options.systems.includes(name)
+    || cores.some(c => coreDocs[c].systems.includes(name)));
+
+// Cores, with the files of their exported releases.
+for (const name of cores) {
+    const cPath = path.join(path.dirname(coresPath), coresData[name].url);
+    const core = coreDocs[name];
+    ({releases: core.releases, tags: core.releaseTags} = selectReleases(core.releases, core.releaseTags));
+    coresData[name].releaseTags = core.releaseTags;
+
+    await copyReleaseFiles(core.releases, path.dirname(cPath));
+    await writeDocument(cPath, core);
+}
+await writeDocument(coresPath, Object.fromEntries(cores.map(name => [name, coresData[name]])));
+
+// Systems, with their games databases and the media of their games. Deltas are only useful
+// to update a database, not when installing the latest catalog.
+for (const name of systems) {
+    const sPath = path.join(path.dirname(systemsPath), systemsData[name].url);
+    const sDir = path.dirname(sPath);
+    const system = await readJson(sPath);
+
+    if (system.db) {
+        if (options.latestOnly) {
+            delete system.db.deltas;
+        }
+        for (const f of [system.db, ...(system.db.deltas ?? [])]) {
+            await copyFile(path.resolve(sDir, f.url));
+        }
+    }
+    if (system.gamesDb) {
+        const gamesDbPath = path.resolve(sDir, system.gamesDb.url);
+        const gamesDb = await readJson(gamesDbPath);
+        for (const media of (gamesDb.games ?? []).flatMap(g => Object.values(g.media ?? {}))) {
+            await copyFile(path.resolve(path.dirname(gamesDbPath), media));
+        }
+        await copyFile(gamesDbPath);
+    }
+    await writeDocument(sPath, system);
+}
+await writeDocument(systemsPath, Object.fromEntries(systems.map(name => [name, systemsData[name]])));
+
+// 1FPGA releases, and the latest release of each platform.
+const releasesPath = path.join(catalogDir, catalog.releases.url);
+const releasesData = await readJson(releasesPath);
+catalog.releases.tags ??= {};
+for (const [name, versions] of Object.entries(releasesData)) {
+    ({releases: releasesData[name], tags: catalog.releases.tags[name]} = selectReleases(versions, catalog.releases.tags?.[name]));
+    await copyReleaseFiles(releasesData[name], path.dirname(releasesPath));
+}
+for (const {url} of Object.values(catalog.releases.latest ?? {})) {
+    const latestPath = path.join(catalogDir, url);
+    const latest = await readJson(latestPath);
+    await copyReleaseFiles(Object.values(latest.platforms), path.dirname(latestPath));
+    await writeDocument(latestPath, latest);
+}
+await writeDocument(releasesPath, releasesData);
+
+// Playlists, with only the games of the exported systems.
+const playlistsPath = path.join(catalogDir, catalog.playlists.url);
+const playlistsData = await readJson(playlistsPath);
+for (const [name, p] of Object.entries(playlistsData)) {
+    const pPath = path.join(path.dirname(playlistsPath), p.url);
+    const playlist = await readJson(pPath);
+    playlist.entries = playlist.entries.filter(e => systems.includes(e.system));
+    playlist.systems = playlist.systems.filter(s => systems.includes(s));
+    if (playlist.entries.length === 0) {
+        delete playlistsData[name];
+        continue;
+    }
+    await writeDocument(pPath, playlist);
+}
+await writeDocument(playlistsPath, playlistsData);
+
+// The catalog of the channel, and the root catalog with only that channel.
+const exported = {...rootCatalog, defaultChannel: channel, channels: {[channel]: rootCatalog.channels[channel]}};
+delete exported.changelog;
+for (const doc of CHANNEL_DOCUMENTS) {
+    exported[doc] = {...catalog[doc], url: rebaseUrl(catalog[doc].url, catalogDir, distRoot)};
+    if (catalog[doc].latest) {
+        exported[doc].latest = Object.fromEntries(Object.entries(catalog[doc].latest).map(([name, l]) => [name, {
+            url: rebaseUrl(l.url, catalogDir, distRoot),
+        }]));
+    }
+}
+await writeDocument(catalogPath, catalog);
+await writeDocument(rootCatalogPath, exported);
+
+const signingKey = await loadSigningKey(await loadPublicKey());
+await writeManifest(root, signingKey);
+
+const bundle = {
+    name: rootCatalog.name,
+    uniqueName: rootCatalog.uniqueName,
+    version: rootCatalog.version,
+    channel,
+    baseUrl: options.baseUrl,
+    latestOnly: options.latestOnly,
+    systems,
+    cores,
+    catalog: {url: options.baseUrl === null ? './catalog.json' : `${options.baseUrl}/catalog.json`},
+    manifest: {url: `./${MANIFEST_NAME}`},
+    files: [],
+};
+for (const f of (await listFiles(root)).sort()) {
+    bundle.files.push({
+        url: `./${path.relative(root, f).split(path.sep).join('/')}`,
+        size: (await fs.stat(f)).size,
+        sha256: await hashFile(f),
+    });
+}
+await fs.writeFile(path.join(root, BUNDLE_NAME), JSON.stringify(bundle), 'utf8');
+if (signingKey) {
+    await signFile(path.join(root, BUNDLE_NAME), signingKey);
+} else {
+    console.warn('No signing key provided (ONEFPGA_SIGNING_KEY); the bundle is not signed.');
+}
+
+if (zip) {
+    await new Promise((resolve, reject) => {
+        const stream = createWriteStream(output);
+        const archive = archiver('zip', {zlib: {level: 9}});
+
+        stream.on('close', resolve);
+        archive.on('error', reject);
+
+        archive.pipe(stream);
+        archive.directory(root, false);
+        archive.finalize();
+    });
+    await fs.rm(root, {recursive: true});
+}
+
+console.log(`Exported ${cores.length} core(s) and ${systems.length} system(s) of channel ${JSON.stringify(channel)} `
+    + `to ${path.relative(process.cwd(), output)}.`);
@@ -0,0 +1,452 @@
+import sqlite from 'sqlite3';
+import {createSqliteTag} from "@sqltags/sqlite";
+import fs from "node:fs/promises";
+import * as path from "node:path";
+import {dateVersion, parseVersion} from '../versions.js';
+import {importDats} from './dat.js';
+import {searchRow, sortKey} from './search.js';
+import {createMediaResolver, MEDIA_TYPES} from './media.js';
+import {entrySystem, findGames, queryOf} from '../playlists.js';
+
+/**
+ * The configuration of a system's games database.
+ * @typedef {Object} GamesDbConfig
+ * @property {string} system The unique name of the system (e.g. `nes`).
+ * @property {string} source The path of the games JSON file, relative to the system folder.
+ *                           It is also copied next to the database.
+ * @property {string[]?} dats DAT files (relative to the system folder) to import the games
+ *                            from. If set, the games JSON file is generated from them (as
+ *                            `source`, next to the database) instead of being read.
+ * @property {string?} version The version of the database when importing DAT files.
+ * @property {string?} output The file name of the SQLite database (`<system>.sqlite` by default).
+ * @property {Record<string, string>?} columns Extra columns to add to `GamesId`, as a map of
+ *                                             column name to SQL type. They are filled from the
+ *                                             game field of the same name.
+ */
+
+const COLUMN_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const TAGS_RE = /[(\[](?<tag>.*?)[)\]]/g;
+const SHORTNAME_RE = /^(?<name>.*?)\s*[(\[]/;
+
+/** The hashes stored for every source file, with their length in bytes. */
+const HASH_LENGTHS = {sha256: 32, sha1: 20, md5: 16, crc32: 4};
+
+/**
+ * Insert a tag in the database.
+ * @param sql {SqlTag} The SQL tag object to call into the database.
+ * @param name {string} The name of the tag to insert.
+ * @param table {string?} The table to insert the tag into ("tags" by default).
+ * @return {Promise<*>} The ID of the new tag.
+ * @throws {string} If the tag could not be found or inserted.
+ */
+export async function insertTag(sql, name, table = "tags") {
+    const [row] = await sql`
+        INSERT INTO ${sql.id(table)}
+            ${sql.insertValues({name})}
+        ON CONFLICT
+        DO NOTHING
+        RETURNING id
+    `;
+    let tagsId = row?.id;
+    if (tagsId === undefined) {
+        const [row] = await sql`
+            SELECT id
+            FROM ${sql.id(table)}
+            WHERE name = ${name}
+        `;
+        tagsId = row.id;
+    }
+    if (tagsId === undefined) {
+        throw `Could not find ${table} "${name}" but could not insert it either...`;
+    }
+
+    return tagsId;
+}
+
+/**
+ * Normalize a game entry of the games JSON file: extract the short name and the tags from
+ * the full name (e.g. `Game (USA) [!]`), and split regions and languages.
+ * @param {Record} g The game entry.
+ * @returns {{name: string, title: string|null, originalTitle: string|null, year: number|null,
+ *            tags: string[], regions: string[], languages: string[]}}
+ */
+export function parseGame(g) {
+    let {name, shortname, nameAlt, region, languages, year, tags} = g;
+    shortname = shortname ?? (SHORTNAME_RE.exec(name)?.groups?.name ?? null);
+
+    let tag;
+    tags = [...(tags ?? [])];
+    TAGS_RE.lastIndex = 0;
+    while ((tag = TAGS_RE.exec(name)) !== null) {
+        tags.push(tag.groups.tag);
+    }
+    // Unique tags only.
+    tags = [...(new Set(tags))];
+
+    const regions = (region ?? "").split(',').map(r => r.trim()).filter(r => !!r);
+    languages = (Array.isArray(languages) ? languages : [languages])
+        .filter(l => !!l)
+        .map(l => l.trim())
+        .filter(l => !!l);
+
+    return {
+        name,
+        title: shortname ?? null,
+        originalTitle: nameAlt ?? null,
+        year: year ?? null,
+        tags,
+        regions,
+        languages,
+    };
+}
+
+/**
+ * Extract the size and hashes of a source file entry, as stored in `GamesSources`. Missing
+ * hashes are stored as `NULL`, but at least one hash is required.
+ * @param {string} game The name of the game (for errors).
+ * @param {{size?: number, sha256?: string, sha1?: string, md5?: string, crc32?: string}} f
+ * @returns {Record}
+ * @throws {Error} If the file has no hash, or an invalid one.
+ */
+function hashes(game, f) {
+    const result = {size: f.size ?? null};
+    for (const [key, length] of Object.entries(HASH_LENGTHS)) {
+        const value = f[key];
+        if (value === undefined || value === null || value === '') {
+            result[key] = null;
+        } else if (typeof value !== 'string' || !new RegExp(`^[0-9a-fA-F]{${length * 2}}$`).test(value)) {
+            throw new Error(`Invalid ${key} ${JSON.stringify(value)} for game ${JSON.stringify(game)}.`);
+        } else {
+            result[key] = Buffer.from(value, 'hex');
+        }
+    }
+
+    if (Object.keys(HASH_LENGTHS).every(k => result[k] === null)) {
+        throw new Error(`A file of game ${JSON.stringify(game)} has no hash.`);
+    }
+    return result;
+}
+
+/**
+ * Parse the number of players of a game, either a number or a range (e.g. `"1-2"`, in which
+ * case the maximum is returned).
+ * @param {string} game The name of the game (for errors).
+ * @param {number|string|undefined} players
+ * @returns {number|null}
+ * @throws {Error} If the number of players is invalid.
+ */
+function parsePlayers(game, players) {
+    if (players === undefined || players === null) {
+        return null;
+    }
+    const max = typeof players === 'number' ? players : /^\s*\d+\s*(?:-\s*(\d+)\s*)?$/.exec(players)?.[1] ?? players;
+    if (!Number.isInteger(+max) || +max < 1) {
+        throw new Error(`Invalid players ${JSON.stringify(players)} for game ${JSON.stringify(game)}.`);
+    }
+    return +max;
+}
+
+/**
+ * Insert the optional metadata of a game (genres, players, publisher, developer, release date
+ * and description) and its media.
+ * @param {SqlTag} sql The SQL tag object to call into the database.
+ * @param {number} gamesId The ID of the game.
+ * @param {Record} g The game entry of the games JSON file.
+ * @param {function(string): Promise<import('./media.js').Media>} media The media resolver.
+ */
+async function insertMetadata(sql, gamesId, g, media) {
+    const {name, genres, publisher, developer, releaseDate, description} = g;
+    const players = parsePlayers(name, g.players);
+
+    for (const genre of genres ?? []) {
+        const genresId = await insertTag(sql, genre, "genres");
+        await sql`
+            INSERT INTO GamesGenres
+                ${sql.insertValues({gamesId, genresId})}
+        `;
+    }
+
+    const metadata = {players, publisher, developer, releaseDate, description};
+    if (Object.values(metadata).some(v => v !== undefined && v !== null)) {
+        await sql`
+            INSERT INTO GamesMetadata
+                ${sql.insertValues({
+                    gamesId,
+                    ...Object.fromEntries(Object.entries(metadata).map(([k, v]) => [k, v ?? null])),
+                })}
+        `;
+    }
+
+    for (const [type, p] of Object.entries(g.media ?? {})) {
+        if (!MEDIA_TYPES.includes(type)) {
+            throw new Error(`Unknown media type ${JSON.stringify(type)} for game ${JSON.stringify(name)}.`);
+        }
+        const {url, sha256, size, width, height} = await media(p);
+        await sql`
+            INSERT INTO GamesMedia
+                ${sql.insertValues({gamesId, type, url, sha256: Buffer.from(sha256, 'hex'), size, width, height})}
+        `;
+    }
+}
+
+/**
+ * Insert a game and all its related rows (search index, tags, regions, languages, sources,
+ * metadata, media and playlists).
+ * @param {SqlTag} sql The SQL tag object to call into the database.
+ * @param {Record} g The game entry of the games JSON file.
+ * @param {string[]} columns The extra columns of `GamesId`.
+ * @param {function(string): Promise<import('./media.js').Media>} media The media resolver.
+ */
+async function insertGame(sql, g, columns, media) {
+    const {name, title, originalTitle, year, tags, regions, languages} = parseGame(g);
+    const {sources, playlists} = g;
+
+    const extra = Object.fromEntries(columns.map(c => [c, g[c] ?? null]));
+    const [{id: gamesId}] = await sql`
+        INSERT INTO GamesId
+            ${sql.insertValues({
+                fullname: name,
+                title, // For now always use the full name or original title.
+                originalTitle,
+                year,
+                sortKey: sortKey(title ?? name),
+                ...extra,
+            })} RETURNING id
+    `;
+
+    // Index the game for full-text search.
+    await sql`
+        INSERT INTO GamesSearch
+            ${sql.insertValues({rowid: gamesId, ...searchRow({fullname: name, title, originalTitle, tags})})}
+    `;
+
+    // Insert tags.
+    await Promise.all(tags.map(async t => {
+        const tagsId = await insertTag(sql, t);
+        await sql`
+            INSERT INTO GamesTags
+                ${sql.insertValues({gamesId, tagsId})}
+        `;
+    }));
+
+    // Insert regions.
+    await Promise.all(regions.map(async r => {
+        const regionsId = await insertTag(sql, r, "regions");
+
+        await sql`
+            INSERT INTO GamesRegions
+                ${sql.insertValues({gamesId, regionsId})}
+        `;
+    }));
+
+    // Insert languages.
+    await Promise.all(languages.map(async l => {
+        const languagesId = await insertTag(sql, l, "languages");
+
+        await sql`
+            INSERT INTO GamesLanguages
+                ${sql.insertValues({gamesId, languagesId})}
+        `;
+    }));
+
+    // Insert checksums and sources.
+    await Promise.all(sources.map(async s => {
+        await Promise.all(s.files.map(async f => {
+            const {extension, withoutHeader} = f;
+            const rows = [{...hashes(name, f), headerless: !!f.headerless}];
+            if (withoutHeader) {
+                rows.push({...hashes(name, withoutHeader), headerless: true});
+            }
+
+            for (const row of rows) {
+                await sql`
+                    INSERT INTO GamesSources
+                        ${sql.insertValues({gamesId, extension, ...row})}
+                `;
+            }
+        }))
+    }));
+
+    await insertMetadata(sql, gamesId, g, media);
+
+    // Insert playlists.
+    if (playlists) {
+        await Promise.all(Object.entries(playlists).map(async ([name, priority]) => {
+            await sql`
+                INSERT INTO Playlists ${sql.insertValues({name})}
+                ON CONFLICT DO NOTHING
+            `;
+            const [{ id: playlistsId }] = await sql`SELECT id
+                                    FROM Playlists
+                                    WHERE name = ${name}`;
+            await sql`
+                INSERT INTO PlaylistsGamesId ${sql.insertValues({ gamesId, playlistsId, priority })}
+            `;
+        }))
+    }
+}
+
+/**
+ * Insert the playlists of the script's channel (see `playlists.js`) that have games of the
+ * system, with the position of the games in the playlist as priority. Entries that don't
+ * reference exactly one game are skipped; the build reports them once the databases are built.
+ * @param {SqlTag} sql The SQL tag object to call into the database.
+ * @param {import('../playlists.js').Query} all The query function of the same database.
+ * @param {string} system The unique name of the system.
+ * @param {import('../build-context.js').BuildContext} ctx
+ */
+async function insertPlaylists(sql, all, system, ctx) {
+    const indexPath = path.join(ctx.distRoot, ctx.channel, 'playlists.json');
+    const index = await ctx.readDocument(indexPath).catch(() => ({}));
+
+    for (const {url} of Object.values(index)) {
+        const playlist = await ctx.readDocument(path.resolve(path.dirname(indexPath), url));
+        const games = [];
+        for (const [i, entry] of playlist.entries.entries()) {
+            if (entrySystem(playlist, entry) !== system) {
+                continue;
+            }
+            const found = await findGames(all, entry);
+            if (found.length === 1) {
+                games.push({gamesId: found[0].id, priority: i + 1});
+            }
+        }
+        if (games.length === 0) {
+            continue;
+        }
+
+        await sql`
+            INSERT INTO Playlists ${sql.insertValues({name: playlist.title})}
+            ON CONFLICT DO NOTHING
+        `;
+        const [{id: playlistsId}] = await sql`SELECT id
+                                FROM Playlists
+                                WHERE name = ${playlist.title}`;
+        for (const {gamesId, priority} of games) {
+            await sql`
+                INSERT INTO PlaylistsGamesId ${sql.insertValues({gamesId, playlistsId, priority})}
+                ON CONFLICT DO NOTHING
+            `;
+        }
+    }
+}
+
+/**
+ * Build the games database of a system. This is meant to be called from the `_build.js`
+ * of a system folder, with its context.
+ *
+ * The system must be in the `systems.json` of the script's channel, with a `db` entry
+ * pointing to the database this builds.
+ *
+ * @param {GamesDbConfig} config The configuration of the database.
+ * @param {import('../build-context.js').BuildContext} ctx The context of the `_build.js` script.
+ */
+export async function buildGamesDb(config, ctx) {
+    const {system: systemName, source} = config;
+    const output = config.output ?? `${systemName}.sqlite`;
+    const columns = Object.entries(config.columns ?? {});
+    for (const [name] of columns) {
+        if (!COLUMN_NAME_RE.test(name)) {
+            throw ctx.error(`Invalid column name ${JSON.stringify(name)} for the ${systemName} games database.`);
+        }
+    }
+
+    // Find the system in the catalog of the channel.
+    const systemsPath = ctx.channel && path.join(ctx.distRoot, ctx.channel, 'systems.json');
+    const systems = systemsPath ? await ctx.readDocument(systemsPath).catch(() => ({})) : {};
+    if (!systems[systemName]) {
+        throw ctx.error(`System ${JSON.stringify(systemName)} is not in the systems of channel ${JSON.stringify(ctx.channel)}.`);
+    }
+    const systemPath = path.resolve(path.dirname(systemsPath), systems[systemName].url);
+    const system = await ctx.readDocument(systemPath);
+    const expectedUrl = `./${path.relative(path.dirname(systemPath), ctx.dest(output)).split(path.sep).join('/')}`;
+    if (!system.db || path.resolve(path.dirname(systemPath), system.db.url) !== ctx.dest(output)) {
+        const systemSource = path.join(ctx.sourceRoot, path.relative(ctx.distRoot, systemPath)).replace(/\.json$/, '.toml');
+        throw ctx.error(`System ${JSON.stringify(systemName)} must have a [db] entry with url = ${JSON.stringify(expectedUrl)}.`, {
+            file: path.relative(ctx.sourceDir, systemSource),
+            path: 'db.url',
+        });
+    }
+
+    ctx.log.info(`Building ${system.name ?? systemName} database...`);
+    let gamesDb;
+    if (config.dats) {
+        gamesDb = await importDats(config.dats.map(d => ctx.source(d)), config.version);
+        await fs.writeFile(ctx.dest(source), JSON.stringify(gamesDb), 'utf8');
+    } else {
+        await ctx.copy(source);
+        gamesDb = JSON.parse(await fs.readFile(ctx.source(source), "utf-8"));
+    }
+
+    // Build the SQLite database next to the games JSON.
+    const db = new sqlite.Database(ctx.dest(output));
+    db.exec(await fs.readFile(new URL('./schema.sql', import.meta.url), 'utf8'));
+    for (const [name, type] of columns) {
+        db.exec(`ALTER TABLE GamesId ADD COLUMN ${name} ${type}`);
+    }
+
+    db.exec("BEGIN TRANSACTION");
+
+    const sql = createSqliteTag(db);
+    if (process.env.SQL_DEBUG) {
+        sql.on("beforeQuery", (query) => console.log(query));
+    }
+
+    // Insert system-level tags.
+    for (const key of Object.getOwnPropertyNames(system)) {
+        const value = system[key];
+        if (typeof value == "string") {
+            await sql`
+                INSERT INTO metadata
+                    ${sql.insertValues({key, value})}
+            `;
+        }
+    }
+    for (const tag of system.tags ?? []) {
+        const tagsId = await insertTag(sql, tag);
+        await sql`
+            INSERT INTO SystemTags
+                ${sql.insertValues({tagsId})}
+        `;
+    }
+
+    // Insert the known BIOS files.
+    for (const b of gamesDb['bios'] ?? []) {
+        await sql`
+            INSERT INTO Bios
+                ${sql.insertValues({name: b.name, description: b.description ?? null, ...hashes(b.name, b)})}
+        `;
+    }
+
+    // Insert version.
+    const version = gamesDb.version ?? dateVersion();
+    parseVersion(version);
+    await sql`
+        INSERT INTO Metadata (key, value)
+        VALUES ('version', ${version})`;
+
+    // Insert the whole games identification.
+    ctx.log.info("Inserting games...");
+    const bar = ctx.progress(gamesDb['games'].length, `${systemName} games`);
+    const media = createMediaResolver(ctx.copy, ctx.destDir);
+    for (const g of gamesDb['games']) {
+        bar.increment();
+        await insertGame(sql, g, columns.map(([name]) => name), media);
+    }
+    bar.stop();
+
+    // Add the playlists authored as their own documents.
+    await insertPlaylists(sql, queryOf(db), systemName, ctx);
+
+    db.exec("COMMIT TRANSACTION");
+    db.exec("VACUUM");  // Collect garbage.
+    await new Promise((res, rej) => {
+        db.close(e => {
+            if (e) {
+                rej(e);
+            } else {
+                res(e);
+            }
+        });
+    });
+}
@@ -0,0 +1,353 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+
+/**
+ * Importer for community DAT files (No-Intro, Redump, MAME...), converting them to the games
+ * JSON structure the games database builder consumes:
+ *
+ *     {games: [{name, region, languages, year, sources: [{files: [{extension, size, crc32, md5, sha1, sha256, headerless}]}]}]}
+ *
+ * Both the Logiqx XML format (including MAME's `<machine>` entries) and the ClrMamePro text
+ * format are supported.
+ */
+
+/** Region names used by No-Intro and Redump in game names, e.g. `Game (USA, Europe)`. */
+const REGIONS = new Set([
+    'Argentina', 'Asia', 'Australia', 'Austria', 'Belgium', 'Brazil', 'Canada', 'China', 'Croatia',
+    'Denmark', 'Europe', 'Finland', 'France', 'Germany', 'Greece', 'Hong Kong', 'India', 'Ireland',
+    'Israel', 'Italy', 'Japan', 'Korea', 'Latin America', 'Mexico', 'Netherlands', 'New Zealand',
+    'Norway', 'Poland', 'Portugal', 'Russia', 'Scandinavia', 'South Africa', 'Spain', 'Sweden',
+    'Switzerland', 'Taiwan', 'Turkey', 'UK', 'USA', 'United Kingdom', 'World',
+]);
+
+/** A list of languages in a game name, e.g. `(En,Fr,De)` or `(En-US,Pt-BR)`. */
+const LANGUAGES_RE = /^[A-Z][a-z](?:-[A-Z][A-Za-z]+)?(?:[,+][A-Z][a-z](?:-[A-Z][A-Za-z]+)?)*$/;
+const PAREN_RE = /\((?<tag>[^)]*)\)/g;
+
+/** The hashes a ROM entry can carry, with the attribute names used in DAT files. */
+const HASHES = {crc32: 'crc', md5: 'md5', sha1: 'sha1', sha256: 'sha256'};
+
+/**
+ * Extract the regions and languages from a No-Intro style game name.
+ * @param {string} name The full name of the game.
+ * @returns {{regions: string[], languages: string[]}}
+ */
+export function parseName(name) {
+    const regions = [];
+    const languages = [];
+
+    for (const {groups: {tag}} of name.matchAll(PAREN_RE)) {
+        const parts = tag.split(',').map(p => p.trim());
+        if (parts.length > 0 && parts.every(p => REGIONS.has(p))) {
+            regions.push(...parts);
+        } else if (LANGUAGES_RE.test(tag)) {
+            languages.push(...tag.split(/[,+]/));
+        }
+    }
+
+    return {regions: [...new Set(regions)], languages: [...new Set(languages)]};
+}
+
+const XML_TOKEN_RE = /<!--[\s\S]*?-->|<!\[CDATA\[(?<cdata>[\s\S]*?)]]>|<![^>]*>|<\?[\s\S]*?\?>|<\/(?<close>[^\s>]+)\s*>|<(?<open>[^\s/>]+)(?<attrs>(?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(?<selfClosing>\/?)>|(?<text>[^<]+)/g;
+const XML_ATTR_RE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Decode XML entities.
+ * @param {string} s
+ * @returns {string}
+ */
+function decodeEntities(s) {
+    return s.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (_, e) => {
+        switch (e) {
+            case 'amp':
+                return '&';
+            case 'lt':
+                return '<';
+            case 'gt':
+                return '>';
+            case 'quot':
+                return '"';
+            case 'apos':
+                return "'";
+            default:
+                return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+        }
+    });
+}
+
+/**
+ * A minimal XML element.
+ * @typedef {Object} XmlElement
+ * @property {string} name
+ * @property {Record<string, string>} attrs
+ * @property {XmlElement[]} children
+ * @property {string} text
+ */
+
+/**
+ * Parse an XML document into a tree of elements. This only supports what DAT files use
+ * (elements, attributes, text, comments, CDATA and a doctype).
+ * @param {string} text The XML document.
+ * @returns {XmlElement} The root element.
+ * @throws {Error} If the document is not well-formed.
+ */
+export function parseXml(text) {
+    const root = {name: '#document', attrs: {}, children: [], text: ''};
+    const stack = [root];
+
+    for (const m of text.matchAll(XML_TOKEN_RE)) {
+        const {cdata, close, open, attrs, selfClosing, text: t} = m.groups;
+        const current = stack.at(-1);
+
+        if (open !== undefined) {
+            const element = {name: open, attrs: {}, children: [], text: ''};
+            for (const [, key, dq, sq] of attrs.matchAll(XML_ATTR_RE)) {
+                element.attrs[key] = decodeEntities(dq ?? sq);
+            }
+            current.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        } else if (close !== undefined) {
+            if (current.name !== close) {
+                throw new Error(`Invalid XML: unexpected </${close}>, expected </${current.name}>.`);
+            }
+            stack.pop();
+        } else if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (t !== undefined) {
+            current.text += decodeEntities(t);
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error(`Invalid XML: unclosed <${stack.at(-1).name}>.`);
+    }
+    return root.children[0];
+}
+
+/**
+ * Convert a ROM entry (attributes of a `<rom>` or a ClrMamePro `rom (...)`) to a file entry.
+ * @param {Record<string, string>} rom
+ * @returns {Record|null} The file, or `null` if the ROM has no hash (e.g. a `nodump`).
+ */
+function romToFile(rom) {
+    const file = {
+        extension: path.extname(rom.name ?? '').slice(1).toLowerCase(),
+        size: rom.size !== undefined ? Number(rom.size) : null,
+    };
+    for (const [key, attr] of Object.entries(HASHES)) {
+        if (rom[attr]) {
+            file[key] = rom[attr].toLowerCase();
+        }
+    }
+    if (!Object.keys(HASHES).some(k => file[k])) {
+        return null;
+    }
+    return file;
+}
+
+/**
+ * Convert a game (name, year and ROMs) to a game entry of the games JSON.
+ * @param {string} name
+ * @param {string|undefined} year
+ * @param {Record<string, string>[]} roms
+ * @param {boolean} headerless Whether the DAT hashes files without their header (the DAT
+ *                             declares a header skipper, e.g. `No-Intro_NES.xml`).
+ * @returns {Record|null} The game, or `null` if none of its ROMs could be identified.
+ */
+function toGame(name, year, roms, headerless) {
+    const files = roms.map(romToFile).filter(f => f !== null);
+    if (headerless) {
+        files.forEach(f => f.headerless = true);
+    }
+    if (files.length === 0) {
+        return null;
+    }
+
+    const {regions, languages} = parseName(name);
+    const game = {name, region: regions.join(', '), languages, sources: [{files}]};
+    if (/^\d{4}$/.test(year ?? '')) {
+        game.year = Number(year);
+    }
+    return game;
+}
+
+/**
+ * Parse a Logiqx XML DAT file (No-Intro, Redump, MAME).
+ * @param {string} text The content of the DAT file.
+ * @returns {Record[]} The games.
+ */
+export function parseLogiqx(text) {
+    const root = parseXml(text);
+    if (root?.name !== 'datafile' && root?.name !== 'mame') {
+        throw new Error(`Not a Logiqx DAT file: unexpected root element <${root?.name}>.`);
+    }
+
+    const header = root.children.find(e => e.name === 'header');
+    const headerless = !!header?.children.find(e => e.name === 'clrmamepro')?.attrs.header;
+
+    return root.children
+        .filter(e => e.name === 'game' || e.name === 'machine')
+        .map(e => toGame(
+            e.attrs.name,
+            e.children.find(c => c.name === 'year')?.text.trim(),
+            e.children.filter(c => c.name === 'rom').map(c => c.attrs),
+            headerless,
+        ))
+        .filter(g => g !== null);
+}
+
+/**
+ * Tokenize a ClrMamePro DAT file into parentheses, quoted strings and bare words. Words and
+ * strings are returned as `{value}` objects, to tell them apart from parentheses.
+ * @param {string} text
+ * @returns {(string|{value: string})[]}
+ */
+function tokenizeClrMamePro(text) {
+    const tokens = [];
+    for (const m of text.matchAll(/"((?:[^"\\]|\\.)*)"|([()])|([^\s()"]+)/g)) {
+        tokens.push(m[1] !== undefined ? {value: m[1].replace(/\\(.)/g, '$1')} : m[2] ?? {value: m[3]});
+    }
+    return tokens;
+}
+
+/**
+ * Parse the tokens of a ClrMamePro block (after its opening parenthesis) into an object.
+ * Repeated keys (e.g. `rom`) are collected in arrays.
+ * @param {(string|{value: string})[]} tokens
+ * @param {{i: number}} pos The current position, updated.
+ * @returns {Record<string, *>}
+ */
+function parseClrMameProBlock(tokens, pos) {
+    const result = {};
+    while (pos.i < tokens.length) {
+        const key = tokens[pos.i++];
+        if (key === ')') {
+            return result;
+        }
+        if (typeof key !== 'object') {
+            throw new Error(`Invalid ClrMamePro DAT: unexpected "${key}".`);
+        }
+
+        let value;
+        if (tokens[pos.i] === '(') {
+            pos.i++;
+            value = parseClrMameProBlock(tokens, pos);
+        } else {
+            value = tokens[pos.i++]?.value;
+        }
+        (result[key.value] ??= []).push(value);
+    }
+    return result;
+}
+
+/**
+ * Parse a ClrMamePro text DAT file.
+ * @param {string} text The content of the DAT file.
+ * @returns {Record[]} The games.
+ */
+export function parseClrMamePro(text) {
+    const tokens = tokenizeClrMamePro(text);
+    const games = [];
+    const pos = {i: 0};
+    let headerless = false;
+
+    while (pos.i < tokens.length) {
+        const name = tokens[pos.i++]?.value;
+        if (tokens[pos.i++] !== '(') {
+            throw new Error(`Invalid ClrMamePro DAT: expected "(" after "${name}".`);
+        }
+        const block = parseClrMameProBlock(tokens, pos);
+        if (name === 'clrmamepro') {
+            headerless = !!block.header?.[0];
+        } else if (name === 'game' || name === 'machine' || name === 'resource') {
+            const roms = (block.rom ?? [])
+                .filter(r => typeof r === 'object')
+                .map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, v[0]])));
+            const game = toGame(block.name?.[0], block.year?.[0], roms, headerless);
+            if (game !== null) {
+                games.push(game);
+            }
+        }
+    }
+    return games;
+}
+
+/**
+ * Parse a DAT file, detecting its format.
+ * @param {string} text The content of the DAT file.
+ * @returns {Record[]} The games.
+ */
+export function parseDat(text) {
+    return /^\s*(?:<\?xml|<!DOCTYPE|<datafile|<mame)/.test(text) ? parseLogiqx(text) : parseClrMamePro(text);
+}
+
+/**
+ * A key identifying a file, from its strongest hash.
+ * @param {Record} f
+ * @returns {string}
+ */
+function fileKey(f) {
+    for (const k of ['sha256', 'sha1', 'md5', 'crc32']) {
+        if (f[k]) {
+            return `${k}:${f[k]}:${f.size}:${!!f.headerless}`;
+        }
+    }
+    return '';
+}
+
+/**
+ * Merge lists of games, de-duplicating games by name and sources by their files. Regions,
+ * languages and years missing from a game are completed from later lists.
+ * @param {Record[][]} lists The games of each DAT.
+ * @returns {Record[]} The merged games, sorted by name.
+ */
+export function mergeGames(lists) {
+    const games = new Map();
+    for (const list of lists) {
+        for (const g of list) {
+            const existing = games.get(g.name);
+            if (!existing) {
+                games.set(g.name, structuredClone(g));
+                continue;
+            }
+
+            existing.region ||= g.region;
+            existing.year ??= g.year;
+            existing.languages = [...new Set([...(existing.languages ?? []), ...(g.languages ?? [])])];
+
+            const known = new Set(existing.sources.map(s => s.files.map(fileKey).sort().join('|')));
+            for (const s of g.sources) {
+                if (!known.has(s.files.map(fileKey).sort().join('|'))) {
+                    existing.sources.push(structuredClone(s));
+                }
+            }
+        }
+    }
+    return [...games.values()].sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+}
+
+/**
+ * Import DAT files into a games JSON object.
+ * @param {string[]} paths The paths of the DAT files.
+ * @param {string?} version The version of the games database.
+ * @returns {Promise<{version?: string, games: Record[]}>}
+ */
+export async function importDats(paths, version) {
+    const lists = [];
+    for (const p of paths) {
+        try {
+            lists.push(parseDat(await fs.readFile(p, 'utf8')));
+        } catch (e) {
+            throw new Error(`Could not import DAT file ${JSON.stringify(p)}: ${e.message}`);
+        }
+    }
+
+    const result = {};
+    if (version) {
+        result.version = version;
+    }
+    result.games = mergeGames(lists);
+    return result;
+}
@@ -0,0 +1,294 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as zlib from 'node:zlib';
+import {promisify} from 'node:util';
+import sqlite from 'sqlite3';
+import {hashFile} from '../cache.js';
+import {compareVersions, sortVersions} from '../versions.js';
+
+/**
+ * Deltas between versions of a games database. A delta is a gzipped SQL script that, run
+ * against the old database, produces the same rows as the new one. Deltas are only produced
+ * when both databases have the same schema.
+ *
+ * A delta reproduces rows, not bytes: a database updated with a delta doesn't match the
+ * `size` and `sha256` published for the new version (its pages are laid out differently).
+ * Devices check the delta itself against its `sha256` before applying it, and download the
+ * whole database when they need a file matching the published hash.
+ *
+ * Deltas are built from the versions of `archive/`, and a version is only archived once the
+ * build that published it succeeded (see `archiveDatabase()`).
+ */
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/** The maximum number of previous versions a delta is produced from. */
+const MAX_DELTAS = 5;
+
+/**
+ * A delta, as referenced from the system JSON.
+ * @typedef {Object} Delta
+ * @property {string} fromVersion
+ * @property {string} toVersion
+ * @property {string} url The URL of the delta, relative to the system JSON.
+ * @property {number} size The size of the delta.
+ * @property {string} sha256 The sha256 of the delta (not of the database it produces).
+ */
+
+/**
+ * Open a database and return promise-based helpers.
+ * @param {string} p The path of the database.
+ * @param {number} mode The sqlite3 open mode.
+ */
+async function open(p, mode = sqlite.OPEN_READONLY) {
+    const db = await new Promise((resolve, reject) => {
+        const db = new sqlite.Database(p, mode, e => e ? reject(e) : resolve(db));
+    });
+    return {
+        all: (query, params = []) => new Promise((resolve, reject) => {
+            db.all(query, params, (e, rows) => e ? reject(e) : resolve(rows));
+        }),
+        exec: (query) => new Promise((resolve, reject) => {
+            db.exec(query, e => e ? reject(e) : resolve());
+        }),
+        close: () => new Promise((resolve, reject) => {
+            db.close(e => e ? reject(e) : resolve());
+        }),
+    };
+}
+
+/**
+ * Return the schema of a database, and the tables whose rows are compared. Shadow tables of
+ * virtual tables (e.g. the FTS5 index) are not compared; the virtual tables themselves are.
+ * @returns {Promise<{schema: string, tables: string[]}>}
+ */
+async function describe(db) {
+    const entries = await db.all(`
+        SELECT type, name, sql
+        FROM sqlite_master
+        WHERE sql IS NOT NULL
+        ORDER BY type, name
+    `);
+    const virtual = entries
+        .filter(e => e.type === 'table' && /^CREATE VIRTUAL TABLE/i.test(e.sql))
+        .map(e => e.name);
+    const tables = entries
+        .filter(e => e.type === 'table' && !e.name.startsWith('sqlite_'))
+        .filter(e => !virtual.some(v => e.name.startsWith(`${v}_`)))
+        .map(e => e.name);
+
+    return {schema: entries.map(e => e.sql).join(';\n'), tables};
+}
+
+/**
+ * Quote an identifier.
+ * @param {string} name
+ * @returns {string}
+ */
+function id(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render a value as a SQL literal.
+ * @param {*} value
+ * @returns {string}
+ */
+function literal(value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    if (Buffer.isBuffer(value)) {
+        return `X'${value.toString('hex')}'`;
+    }
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        return String(value);
+    }
+    return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Read all rows of a table, keyed by rowid.
+ * @returns {Promise<Map<number, Record>>}
+ */
+async function rows(db, table) {
+    const result = new Map();
+    for (const row of await db.all(`SELECT rowid AS "__rowid", * FROM ${id(table)}`)) {
+        const {__rowid, ...values} = row;
+        result.set(__rowid, values);
+    }
+    return result;
+}
+
+/**
+ * Compare two rows.
+ * @param {Record} a
+ * @param {Record} b
+ * @returns {boolean}
+ */
+function sameRow(a, b) {
+    return Object.keys(a).every(k => Buffer.isBuffer(a[k]) && Buffer.isBuffer(b[k])
+        ? a[k].equals(b[k])
+        : a[k] === b[k]);
+}
+
+/**
+ * Produce the SQL script turning the rows of the old database into the rows of the new one.
+ * @param {string} oldPath The path of the old database.
+ * @param {string} newPath The path of the new database.
+ * @returns {Promise<string|null>} The script, or `null` if the schemas differ.
+ */
+export async function diffDatabases(oldPath, newPath) {
+    const [oldDb, newDb] = [await open(oldPath), await open(newPath)];
+    try {
+        const [oldDesc, newDesc] = [await describe(oldDb), await describe(newDb)];
+        if (oldDesc.schema !== newDesc.schema) {
+            return null;
+        }
+
+        // Rows are deleted before any row is inserted, so that rows moving to another rowid
+        // don't break unique constraints. Virtual tables don't support `REPLACE`, so changed
+        // rows are deleted and inserted again.
+        const deletes = [];
+        const inserts = [];
+        for (const table of newDesc.tables) {
+            const [before, after] = [await rows(oldDb, table), await rows(newDb, table)];
+
+            for (const [rowid, row] of before) {
+                const next = after.get(rowid);
+                if (next === undefined || !sameRow(row, next)) {
+                    deletes.push(`DELETE FROM ${id(table)} WHERE rowid = ${rowid};`);
+                }
+            }
+            for (const [rowid, row] of after) {
+                const previous = before.get(rowid);
+                if (previous !== undefined && sameRow(previous, row)) {
+                    continue;
+                }
+                const columns = Object.keys(row);
+                inserts.push(`INSERT INTO ${id(table)} (rowid, ${columns.map(id).join(', ')}) `
+                    + `VALUES (${rowid}, ${columns.map(c => literal(row[c])).join(', ')});`);
+            }
+        }
+
+        return ['BEGIN TRANSACTION;', ...deletes, ...inserts, 'COMMIT;'].join('\n') + '\n';
+    } finally {
+        await oldDb.close();
+        await newDb.close();
+    }
+}
+
+/**
+ * Apply a (gzipped) delta to a database, in place.
+ * @param {string} dbPath The path of the database to update.
+ * @param {string} deltaPath The path of the delta.
+ */
+export async function applyDelta(dbPath, deltaPath) {
+    const script = (await gunzip(await fs.readFile(deltaPath))).toString('utf8');
+    const db = await open(dbPath, sqlite.OPEN_READWRITE);
+    try {
+        await db.exec(script);
+    } finally {
+        await db.close();
+    }
+}
+
+/**
+ * Check that two databases have the same rows in every compared table.
+ * @param {string} aPath
+ * @param {string} bPath
+ * @returns {Promise<boolean>}
+ */
+export async function sameContent(aPath, bPath) {
+    return (await diffDatabases(aPath, bPath))?.split('\n').length === 3;
+}
+
+/**
+ * Produce the deltas from the archived versions of a database to its current version. A
+ * delta is only kept if it is smaller than the database, and if applying it to the old
+ * version reproduces the current rows.
+ *
+ * @param {Object} options
+ * @param {string} options.dbPath The path of the database in `dist/`.
+ * @param {string} options.version The version of the database.
+ * @param {string} options.archiveDir The folder of the archived versions of this database.
+ * @param {string} options.baseUrl The URL of the database's folder, relative to the system JSON.
+ * @returns {Promise<Delta[]>} The deltas, newest `fromVersion` first.
+ */
+export async function buildDeltas({dbPath, version, archiveDir, baseUrl}) {
+    const ext = path.extname(dbPath);
+    const name = path.basename(dbPath, ext);
+    const archived = path.join(archiveDir, `${version}${ext}`);
+
+    const versions = (await fs.readdir(archiveDir).catch(() => []))
+        .filter(f => path.extname(f) === ext)
+        .map(f => path.basename(f, ext));
+
+    if (versions.includes(version) && !await sameContent(archived, dbPath)) {
+        console.warn(`The ${name} database changed but its version (${version}) did not; devices won't update it.`);
+    }
+
+    const {size: dbSize} = await fs.stat(dbPath);
+    const previous = sortVersions(versions.filter(v => compareVersions(v, version) < 0)).reverse().slice(0, MAX_DELTAS);
+    const deltas = [];
+
+    for (const from of previous) {
+        const script = await diffDatabases(path.join(archiveDir, `${from}${ext}`), dbPath);
+        if (script === null) {
+            continue;
+        }
+
+        const data = await gzip(script, {level: 9});
+        if (data.length >= dbSize) {
+            continue;
+        }
+
+        const file = `${name}.${from}-${version}.sql.gz`;
+        const deltaPath = path.join(path.dirname(dbPath), file);
+        await fs.writeFile(deltaPath, data);
+
+        // Make sure the delta reproduces the database before publishing it.
+        const check = `${deltaPath}.check${ext}`;
+        await fs.copyFile(path.join(archiveDir, `${from}${ext}`), check);
+        try {
+            await applyDelta(check, deltaPath);
+            if (!await sameContent(check, dbPath)) {
+                throw new Error(`The delta ${file} does not reproduce the ${name} database.`);
+            }
+        } finally {
+            await fs.rm(check, {force: true});
+        }
+
+        deltas.push({
+            fromVersion: from,
+            toVersion: version,
+            url: `${baseUrl}/${file}`,
+            size: data.length,
+            sha256: await hashFile(deltaPath),
+        });
+    }
+
+    return deltas;
+}
+
+/**
+ * Archive the published version of a database, to build deltas from it in later builds. This
+ * is meant to be called once the build succeeded, so that deltas are only built from
+ * versions devices could have downloaded. A version already archived is kept as is.
+ *
+ * @param {Object} options
+ * @param {string} options.dbPath The path of the database in `dist/`.
+ * @param {string} options.version The version of the database.
+ * @param {string} options.archiveDir The folder of the archived versions of this database.
+ * @returns {Promise<boolean>} `true` if the version was archived, `false` if it already was.
+ */
+export async function archiveDatabase({dbPath, version, archiveDir}) {
+    const archived = path.join(archiveDir, `${version}${path.extname(dbPath)}`);
+    if (await fs.stat(archived).catch(() => null)) {
+        return false;
+    }
+    await fs.mkdir(archiveDir, {recursive: true});
+    await fs.copyFile(dbPath, archived);
+    return true;
+}
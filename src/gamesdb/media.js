@@ -0,0 +1,92 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import {hashFile} from '../cache.js';
+
+/** The kinds of media a game can reference. */
+export const MEDIA_TYPES = ['boxart', 'title', 'snap'];
+
+/**
+ * Read the dimensions of a PNG, GIF or JPEG image.
+ * @param {Buffer} data The content of the image.
+ * @returns {{width: number, height: number}|null} The dimensions, or `null` if the format is
+ *          not recognized.
+ */
+export function imageSize(data) {
+    // PNG: signature, then the IHDR chunk.
+    if (data.length >= 24 && data.readUInt32BE(0) === 0x89504e47 && data.toString('ascii', 12, 16) === 'IHDR') {
+        return {width: data.readUInt32BE(16), height: data.readUInt32BE(20)};
+    }
+
+    // GIF: logical screen descriptor.
+    if (data.length >= 10 && data.toString('ascii', 0, 3) === 'GIF') {
+        return {width: data.readUInt16LE(6), height: data.readUInt16LE(8)};
+    }
+
+    // JPEG: walk the segments until a start of frame (SOFn, except DHT, JPG and DAC).
+    if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8) {
+        let i = 2;
+        while (i + 9 < data.length) {
+            if (data[i] !== 0xff) {
+                return null;
+            }
+            const marker = data[i + 1];
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return {width: data.readUInt16BE(i + 7), height: data.readUInt16BE(i + 5)};
+            }
+            i += 2 + data.readUInt16BE(i + 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * A media file referenced by a game, as stored in `GamesMedia`.
+ * @typedef {Object} Media
+ * @property {string} url The URL of the file, relative to the games database.
+ * @property {string} sha256
+ * @property {number} size
+ * @property {number|null} width
+ * @property {number|null} height
+ */
+
+/**
+ * Create a function that copies a media file of the system folder next to the games
+ * database, and returns its URL, hash, size and dimensions. Files referenced multiple times
+ * are only processed once.
+ *
+ * @param {function(string, string?): Promise<*>} copy The function to copy files from the system
+ *        folder to `dest` (see `BuildContext.copy`).
+ * @param {string} dest The destination folder of the games database.
+ * @returns {function(string): Promise<Media>}
+ */
+export function createMediaResolver(copy, dest) {
+    const known = new Map();
+
+    async function resolve(p) {
+        const normalized = path.posix.normalize(p.split(path.sep).join('/'));
+        if (path.posix.isAbsolute(normalized) || normalized.startsWith('..')) {
+            throw new Error(`Media path ${JSON.stringify(p)} must be inside the system folder.`);
+        }
+
+        await copy(normalized);
+        const destPath = path.join(dest, normalized);
+        const {size} = await fs.stat(destPath);
+        const {width = null, height = null} = imageSize(await fs.readFile(destPath)) ?? {};
+
+        return {
+            url: `./${normalized}`,
+            sha256: await hashFile(destPath),
+            size,
+            width,
+            height,
+        };
+    }
+
+    return (p) => {
+        if (!known.has(p)) {
+            known.set(p, resolve(p));
+        }
+        return known.get(p);
+    };
+}
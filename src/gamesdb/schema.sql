@@ -0,0 +1,177 @@
+-- Description: This file contains the SQL schema for the games databases of all systems.
+-- Note: we use camelCase for keys and PascalCase for tables.
+
+-- The metadata table will be used to store the version and system information.
+CREATE TABLE Metadata
+(
+    key   TEXT PRIMARY KEY NOT NULL,
+    value TEXT             NOT NULL
+);
+
+-- The tags table will be used to store the tags that will be used to categorize the games.
+CREATE TABLE Tags
+(
+    id   INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    CONSTRAINT uniqueTagName UNIQUE (name)
+);
+
+CREATE TABLE Languages
+(
+    id   INTEGER PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL
+);
+
+CREATE TABLE Regions
+(
+    id   INTEGER PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL
+);
+
+-- System tags.
+CREATE TABLE SystemTags
+(
+    id     INTEGER PRIMARY KEY,
+    tagsId INTEGER REFERENCES Tags (id),
+    CONSTRAINT uniqueTag UNIQUE (id, tagsId)
+);
+
+-- The identification database itself. Will be populated from the system's games JSON file.
+CREATE TABLE GamesId
+(
+    id            INTEGER PRIMARY KEY,
+    fullname      TEXT UNIQUE NOT NULL,
+    title         TEXT,
+    originalTitle TEXT,
+    year          INTEGER,
+    -- The normalized title used to sort games (see `gamesdb/search.js`).
+    sortKey       TEXT
+);
+
+CREATE INDEX GamesIdSortKey ON GamesId (sortKey);
+
+-- Full-text search over the games titles and tags, with `rowid` being the `GamesId.id`.
+-- The `normalized` column contains the normalized titles and alternative numerals.
+CREATE VIRTUAL TABLE GamesSearch USING fts5
+(
+    title,
+    originalTitle,
+    fullname,
+    tags,
+    normalized,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- The files identifying a game. Every hash is optional, as sources (e.g. DAT files) don't
+-- always provide all of them. If `headerless` is true, the hashes and size are of the file
+-- without its header (e.g. the 16 bytes iNES header of NES ROMs).
+CREATE TABLE GamesSources
+(
+    id         INTEGER PRIMARY KEY,
+    gamesId    INTEGER REFERENCES GamesId (id),
+    extension  TEXT    NOT NULL,
+    sha256     BLOB,
+    sha1       BLOB,
+    md5        BLOB,
+    crc32      BLOB,
+    size       INTEGER,
+    headerless BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX GamesSourcesSha256 ON GamesSources (sha256);
+CREATE INDEX GamesSourcesSha1 ON GamesSources (sha1);
+CREATE INDEX GamesSourcesMd5 ON GamesSources (md5);
+CREATE INDEX GamesSourcesCrc32 ON GamesSources (crc32, size);
+
+CREATE TABLE GamesTags
+(
+    id      INTEGER PRIMARY KEY,
+    gamesId INTEGER REFERENCES GamesId (id),
+    tagsId  INTEGER REFERENCES Tags (id),
+    CONSTRAINT uniqueTag UNIQUE (gamesId, tagsId)
+);
+
+CREATE TABLE GamesLanguages
+(
+    id          INTEGER PRIMARY KEY,
+    gamesId     INTEGER REFERENCES GamesId (id),
+    languagesId INTEGER REFERENCES Languages (id),
+    CONSTRAINT uniqueLanguage UNIQUE (gamesId, languagesId)
+);
+
+CREATE TABLE GamesRegions
+(
+    id        INTEGER PRIMARY KEY,
+    gamesId   INTEGER REFERENCES GamesId (id),
+    regionsId INTEGER REFERENCES Regions (id),
+    CONSTRAINT uniqueRegion UNIQUE (gamesId, regionsId)
+);
+
+CREATE TABLE Genres
+(
+    id   INTEGER PRIMARY KEY,
+    name TEXT UNIQUE NOT NULL
+);
+
+CREATE TABLE GamesGenres
+(
+    id       INTEGER PRIMARY KEY,
+    gamesId  INTEGER REFERENCES GamesId (id),
+    genresId INTEGER REFERENCES Genres (id),
+    CONSTRAINT uniqueGenre UNIQUE (gamesId, genresId)
+);
+
+-- Optional metadata of a game. Games without any metadata have no row here.
+CREATE TABLE GamesMetadata
+(
+    gamesId     INTEGER PRIMARY KEY REFERENCES GamesId (id),
+    players     INTEGER,
+    publisher   TEXT,
+    developer   TEXT,
+    releaseDate TEXT,
+    description TEXT
+);
+
+-- Media (box art, title screen, snapshot) of a game. The URL is relative to the database.
+CREATE TABLE GamesMedia
+(
+    id      INTEGER PRIMARY KEY,
+    gamesId INTEGER REFERENCES GamesId (id),
+    type    TEXT    NOT NULL,
+    url     TEXT    NOT NULL,
+    sha256  BLOB    NOT NULL,
+    size    INTEGER NOT NULL,
+    width   INTEGER,
+    height  INTEGER,
+    CONSTRAINT uniqueMedia UNIQUE (gamesId, type)
+);
+
+CREATE TABLE Playlists
+(
+    id   INTEGER PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE
+);
+
+CREATE TABLE PlaylistsGamesId
+(
+    playlistsId INTEGER REFERENCES Playlists (id),
+    gamesId     INTEGER REFERENCES GamesId (id),
+    priority    INTEGER,
+    CONSTRAINT uniquePlaylistsGamesSources UNIQUE (playlistsId, gamesId)
+);
+
+-- BIOS files known for the system (e.g. from a BIOS DAT). The BIOS files cores require are
+-- checked against this table when building the catalog.
+CREATE TABLE Bios
+(
+    id          INTEGER PRIMARY KEY,
+    name        TEXT NOT NULL,
+    description TEXT,
+    sha256      BLOB,
+    sha1        BLOB,
+    md5         BLOB,
+    crc32       BLOB,
+    size        INTEGER
+);
+
+CREATE INDEX BiosName ON Bios (name);
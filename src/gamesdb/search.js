@@ -0,0 +1,143 @@
+/**
+ * Title normalization and full-text search over the `GamesSearch` table of a games database.
+ *
+ * The same normalization is used when building the database and when querying it, so that
+ * "Legend of Zelda, The", "the legend of zelda" and "Légend of Zelda" all match, and so that
+ * "Mario 3" finds "Super Mario Bros. III" (and vice versa).
+ */
+
+/** Articles moved or removed when normalizing titles, e.g. "Legend of Zelda, The". */
+const ARTICLES = ['the', 'a', 'an', 'le', 'la', 'les', 'el', 'los', 'las', 'der', 'die', 'das'];
+const TRAILING_ARTICLE_RE = new RegExp(`^(?<title>.*),\\s*(?<article>${ARTICLES.join('|')})(?<rest>\\s*(?:[(\\[:-].*)?)$`, 'i');
+const LEADING_ARTICLE_RE = new RegExp(`^(?:${ARTICLES.join('|')})\\s+`);
+
+const ROMAN = ['', 'i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix', 'x', 'xi', 'xii', 'xiii', 'xiv',
+    'xv', 'xvi', 'xvii', 'xviii', 'xix', 'xx'];
+
+/**
+ * Return the equivalent numeral of a word, if any: `3` for `iii` and `iii` for `3`. Only
+ * numbers 2 to 20 are converted, as a single `i` is more often a word than a number.
+ * @param {string} word A lowercase word.
+ * @returns {string|null}
+ */
+export function numeralAlternative(word) {
+    const roman = ROMAN.indexOf(word);
+    if (roman >= 2) {
+        return String(roman);
+    }
+    if (/^\d+$/.test(word) && +word >= 2 && +word < ROMAN.length) {
+        return ROMAN[+word];
+    }
+    return null;
+}
+
+/**
+ * Normalize a title: move a trailing article to the front ("Legend of Zelda, The" becomes
+ * "the legend of zelda"), fold diacritics and case, and replace punctuation with spaces.
+ * @param {string|null|undefined} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+    if (!title) {
+        return '';
+    }
+
+    const m = TRAILING_ARTICLE_RE.exec(title);
+    if (m) {
+        title = `${m.groups.article} ${m.groups.title}${m.groups.rest}`;
+    }
+
+    return title
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Return the sort key of a title: its normalized form without a leading article, and with
+ * numbers zero-padded so that "Game 10" sorts after "Game 9".
+ * @param {string|null|undefined} title
+ * @returns {string}
+ */
+export function sortKey(title) {
+    return normalizeTitle(title)
+        .replace(LEADING_ARTICLE_RE, '')
+        .replace(/\d+/g, n => n.padStart(6, '0'));
+}
+
+/**
+ * Return the searchable text of titles: their normalized forms, followed by the alternative
+ * numerals of their words (e.g. "iii" for "3").
+ * @param {(string|null|undefined)[]} titles
+ * @returns {string}
+ */
+export function searchText(titles) {
+    const normalized = titles.map(normalizeTitle).filter(t => t !== '');
+    const alternatives = normalized
+        .flatMap(t => t.split(' '))
+        .map(numeralAlternative)
+        .filter(a => a !== null);
+    return [...new Set([...normalized, ...alternatives])].join(' ');
+}
+
+/**
+ * Return the row of a game in the `GamesSearch` table (without its `rowid`).
+ * @param {{fullname: string, title: string|null, originalTitle: string|null, tags: string[]}} game
+ * @returns {Record<string, string|null>}
+ */
+export function searchRow({fullname, title, originalTitle, tags}) {
+    return {
+        title,
+        originalTitle,
+        fullname,
+        tags: tags.join(' '),
+        normalized: searchText([title, originalTitle, fullname]),
+    };
+}
+
+/**
+ * Build an FTS5 query matching all words of a user query (as prefixes), accepting either
+ * form of numerals.
+ * @param {string} query The user query, e.g. "zelda" or "Mario 3".
+ * @returns {string|null} The FTS5 query, or `null` if the query has no words.
+ */
+export function ftsQuery(query) {
+    const words = normalizeTitle(query).split(' ').filter(w => w !== '');
+    if (words.length === 0) {
+        return null;
+    }
+
+    return words.map(w => {
+        const alt = numeralAlternative(w);
+        return alt === null ? `"${w}"*` : `("${w}" OR "${alt}")`;
+    }).join(' AND ');
+}
+
+/**
+ * Search games by title, best matches first. Matches in titles rank higher than matches in
+ * full names or tags.
+ * @param {import('sqlite3').Database} db An open games database.
+ * @param {string} query The user query.
+ * @param {{limit?: number}} options
+ * @returns {Promise<{id: number, fullname: string, title: string|null, rank: number}[]>}
+ */
+export async function searchGames(db, query, {limit = 20} = {}) {
+    const match = ftsQuery(query);
+    if (match === null) {
+        return [];
+    }
+
+    return await new Promise((resolve, reject) => {
+        db.all(`
+            SELECT GamesId.id, GamesId.fullname, GamesId.title,
+                   bm25(GamesSearch, 5.0, 3.0, 1.0, 0.5, 2.0) AS rank
+            FROM GamesSearch
+                     INNER JOIN GamesId ON GamesId.id = GamesSearch.rowid
+            WHERE GamesSearch MATCH ?
+            ORDER BY rank, GamesId.sortKey
+            LIMIT ?
+        `, [match, limit], (e, rows) => e ? reject(e) : resolve(rows));
+    });
+}
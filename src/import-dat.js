@@ -0,0 +1,42 @@
+import fs from 'node:fs/promises';
+import {importDats} from './gamesdb/dat.js';
+import {parseVersion} from './versions.js';
+
+// Import DAT files (Logiqx XML or ClrMamePro) into the games JSON used to build a system's
+// games database, so it can be reviewed before being committed.
+//
+// Usage: npm run import-dat -- [--version YYYYMMDD] [--output games.json] <file.dat>...
+
+const args = process.argv.slice(2);
+const files = [];
+let version = undefined;
+let output = undefined;
+
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--version':
+            version = args[++i];
+            parseVersion(version ?? '');
+            break;
+        case '--output':
+        case '-o':
+            output = args[++i];
+            break;
+        default:
+            files.push(args[i]);
+    }
+}
+
+if (files.length === 0) {
+    console.error('Usage: npm run import-dat -- [--version YYYYMMDD] [--output games.json] <file.dat>...');
+    process.exit(1);
+}
+
+const gamesDb = await importDats(files, version);
+const json = JSON.stringify(gamesDb, null, 2);
+if (output) {
+    await fs.writeFile(output, json, 'utf8');
+    console.error(`Imported ${gamesDb.games.length} games into ${output}.`);
+} else {
+    console.log(json);
+}
@@ -0,0 +1,145 @@
+import sqlite from 'sqlite3';
+
+/**
+ * Playlists are ordered lists of games, possibly of several systems, authored as their own
+ * documents (`<channel>/playlists/<name>.toml`, listed in `<channel>/playlists.toml`). Every
+ * entry references a game of the games database of its system, by full name or by the hash
+ * of one of its files.
+ *
+ * The build checks every entry against the built games databases and publishes the playlists
+ * with their entries resolved to full names. The games database of each system also lists
+ * the playlists of the channel in its `Playlists` and `PlaylistsGamesId` tables.
+ */
+
+/** The hashes an entry can reference a game by, besides its full name. */
+export const ENTRY_HASHES = ['sha256', 'sha1', 'md5'];
+
+/**
+ * An entry of a playlist, as authored. It has exactly one of `fullname` and the hashes.
+ * @typedef {Object} PlaylistEntry
+ * @property {string} [system] The system of the game (the `system` of the playlist by default).
+ * @property {string} [fullname] The full name of the game (e.g. `Mega Man (USA)`).
+ * @property {string} [sha256] The hash of a file of the game, in hexadecimal.
+ * @property {string} [sha1]
+ * @property {string} [md5]
+ */
+
+/**
+ * Run a query on a games database, with parameters, and return its rows.
+ * @typedef {function(string, *[]=): Promise<Record[]>} Query
+ */
+
+/**
+ * Return the system of an entry of a playlist.
+ * @param {Record} playlist
+ * @param {PlaylistEntry} entry
+ * @returns {string|null}
+ */
+export function entrySystem(playlist, entry) {
+    return entry.system ?? playlist.system ?? null;
+}
+
+/**
+ * Return the references of an entry (its full name and hashes).
+ * @param {PlaylistEntry} entry
+ * @returns {string[]} The keys of the entry referencing a game.
+ */
+export function entryReferences(entry) {
+    return ['fullname', ...ENTRY_HASHES].filter(k => entry[k] !== undefined);
+}
+
+/**
+ * Describe the game an entry references, for messages.
+ * @param {PlaylistEntry} entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+    const [key] = entryReferences(entry);
+    return key === 'fullname' ? JSON.stringify(entry.fullname) : `with ${key} ${entry[key].toLowerCase()}`;
+}
+
+/**
+ * Create the query function of an open database.
+ * @param {sqlite.Database} db
+ * @returns {Query}
+ */
+export function queryOf(db) {
+    return (query, params = []) => new Promise((resolve, reject) => {
+        db.all(query, params, (e, rows) => e ? reject(e) : resolve(rows));
+    });
+}
+
+/**
+ * Open a games database, read-only.
+ * @param {string} dbPath
+ * @returns {Promise<{all: Query, close: function(): Promise<void>}>}
+ */
+export async function openGamesDb(dbPath) {
+    const db = await new Promise((resolve, reject) => {
+        const db = new sqlite.Database(dbPath, sqlite.OPEN_READONLY, e => e ? reject(e) : resolve(db));
+    });
+    return {
+        all: queryOf(db),
+        close: () => new Promise(resolve => db.close(() => resolve())),
+    };
+}
+
+/**
+ * Find the games of a games database an entry references.
+ * @param {Query} all
+ * @param {PlaylistEntry} entry
+ * @returns {Promise<{id: number, fullname: string}[]>} The games found, more than one if the
+ *          hash is shared by several games.
+ */
+export async function findGames(all, entry) {
+    const [key] = entryReferences(entry);
+    if (key === 'fullname') {
+        return all('SELECT id, fullname FROM GamesId WHERE fullname = ?', [entry.fullname]);
+    }
+    return all(`SELECT DISTINCT GamesId.id, GamesId.fullname
+                FROM GamesSources
+                         JOIN GamesId ON GamesId.id = GamesSources.gamesId
+                WHERE GamesSources.${key} = ?`, [Buffer.from(entry[key], 'hex')]);
+}
+
+/**
+ * Resolve the entries of a playlist against the games databases of their systems.
+ * @param {Record} playlist The playlist document, with its `entries`.
+ * @param {function(string): Promise<Query|null|undefined>} databaseOf Return the games
+ *        database of a system of the channel, `null` if it has none and `undefined` if the
+ *        system is unknown.
+ * @returns {Promise<{entries: {system: string, fullname: string}[], issues: {path: string, message: string}[]}>}
+ */
+export async function resolvePlaylist(playlist, databaseOf) {
+    const entries = [];
+    const issues = [];
+
+    for (const [i, entry] of playlist.entries.entries()) {
+        const p = `entries[${i}]`;
+        const system = entrySystem(playlist, entry);
+        const all = await databaseOf(system);
+        if (all === undefined) {
+            issues.push({path: p, message: `unknown system ${JSON.stringify(system)}`});
+            continue;
+        }
+        if (all === null) {
+            issues.push({path: p, message: `system ${JSON.stringify(system)} has no games database`});
+            continue;
+        }
+
+        const games = await findGames(all, entry);
+        if (games.length === 0) {
+            issues.push({path: p, message: `unknown game ${describeEntry(entry)} in the ${JSON.stringify(system)} games database`});
+        } else if (games.length > 1) {
+            issues.push({
+                path: p,
+                message: `game ${describeEntry(entry)} is ambiguous in the ${JSON.stringify(system)} games database `
+                    + `(${games.map(g => JSON.stringify(g.fullname)).join(', ')})`,
+            });
+        } else {
+            entries.push({system, fullname: games[0].fullname});
+        }
+    }
+
+    return {entries, issues};
+}
@@ -0,0 +1,163 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as toml from 'toml';
+import {orderChannels} from './channels.js';
+import {resolveTags} from './tags.js';
+import {compareVersions, parseVersion} from './versions.js';
+
+/**
+ * Retention of old releases. `catalog.toml` can declare a default policy for cores and for
+ * 1FPGA releases (`[retention.cores]` and `[retention.releases]`), and a core can override it
+ * with its own `[retention]` table. Releases not kept by the policy are left out of the JSON
+ * documents, and their files are not copied to `dist/`.
+ *
+ * Without any policy, every release is kept. The releases tags point to (e.g. `latest` or
+ * `lts`) are always kept, so that no tag points to a pruned release.
+ */
+
+/**
+ * A retention policy. A release is kept if any of the rules keeps it.
+ * @typedef {Object} RetentionPolicy
+ * @property {number} [keep] Keep the N most recent releases.
+ * @property {boolean} [keepTagged] Keep every release that has at least one tag.
+ * @property {string} [keepSince] Keep every release dated (`YYYYMMDD`) on or after this date.
+ */
+
+/**
+ * The releases of a core (or of a 1FPGA release name) that are pruned.
+ * @typedef {Object} PrunedEntry
+ * @property {string} file The source TOML declaring the releases.
+ * @property {string} name The name of the core or release.
+ * @property {{version: string, files: string[]}[]} pruned The pruned releases, and the paths
+ *           of their files.
+ */
+
+/**
+ * The result of applying the retention policies to the source tree.
+ * @typedef {Object} RetentionPlan
+ * @property {PrunedEntry[]} entries Only entries with pruned releases are listed.
+ * @property {Set<string>} files The source files not to copy: files only referenced by
+ *           pruned releases, and their signatures.
+ */
+
+/**
+ * Split releases into the ones kept and the ones pruned by a policy.
+ * @param {{version: string, tags?: string[]}[]} releases
+ * @param {RetentionPolicy|null|undefined} policy
+ * @returns {{kept: Array, pruned: Array}}
+ */
+export function selectReleases(releases, policy) {
+    if (!policy || Object.keys(policy).length === 0) {
+        return {kept: releases, pruned: []};
+    }
+
+    const newest = [...releases]
+        .sort((a, b) => compareVersions(b.version, a.version))
+        .slice(0, policy.keep ?? 0);
+    const tagged = new Set(Object.values(resolveTags(releases)));
+    const isKept = (r) => {
+        const tags = r.tags ?? [];
+        return tagged.has(r.version)
+            || newest.includes(r)
+            || (policy.keepTagged === true && tags.length > 0)
+            || (policy.keepSince !== undefined && parseVersion(r.version).kind === 'date'
+                && compareVersions(r.version, policy.keepSince) >= 0);
+    };
+
+    return {
+        kept: releases.filter(isKept),
+        pruned: releases.filter(r => !isKept(r)),
+    };
+}
+
+/**
+ * Read and parse a TOML file, or return `null` if it doesn't exist.
+ * @param {string} p
+ * @returns {Promise<Record|null>}
+ */
+async function readToml(p) {
+    try {
+        return toml.parse(await fs.readFile(p, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return null;
+        }
+        throw e;
+    }
+}
+
+/**
+ * Apply the retention policies to every channel of the source tree. The source tree must
+ * be valid.
+ * @param {string} sourceRoot The root of the source files (containing `catalog.toml`).
+ * @returns {Promise<RetentionPlan>}
+ */
+export async function planRetention(sourceRoot) {
+    const catalog = await readToml(path.join(sourceRoot, 'catalog.toml'));
+    const defaults = catalog.retention ?? {};
+    const entries = [];
+    const pruned = new Set();
+    const kept = new Set();
+
+    const apply = (file, name, releases, policy) => {
+        const result = selectReleases(releases, policy);
+        const filesOf = (r) => r.files.flatMap(f => {
+            const p = path.resolve(path.dirname(file), f.url);
+            return [p, `${p}.sig`];
+        });
+        result.kept.flatMap(filesOf).forEach(f => kept.add(f));
+        result.pruned.flatMap(filesOf).forEach(f => pruned.add(f));
+
+        if (result.pruned.length > 0) {
+            entries.push({
+                file,
+                name,
+                pruned: result.pruned.map(r => ({version: r.version, files: r.files.map(f => path.resolve(path.dirname(file), f.url))})),
+            });
+        }
+    };
+
+    for (const channel of orderChannels(catalog)) {
+        const dir = path.join(sourceRoot, channel.id);
+
+        const cores = await readToml(path.join(dir, 'cores.toml')) ?? {};
+        for (const [name, c] of Object.entries(cores)) {
+            const file = path.join(dir, c.url.replace(/\.json$/, '.toml'));
+            const core = await readToml(file);
+            apply(file, name, core.releases, {...defaults.cores, ...core.retention});
+        }
+
+        const file = path.join(dir, 'releases.toml');
+        for (const [name, releases] of Object.entries(await readToml(file) ?? {})) {
+            apply(file, name, releases, defaults.releases);
+        }
+    }
+
+    // Files shared with a kept release (e.g. a re-tagged binary) are still needed.
+    return {entries, files: new Set([...pruned].filter(f => !kept.has(f)))};
+}
+
+/**
+ * Return the versions pruned from a core or release name.
+ * @param {RetentionPlan} plan
+ * @param {string} file The source TOML declaring the releases.
+ * @param {string} name The name of the core or release.
+ * @returns {Set<string>}
+ */
+export function prunedVersions(plan, file, name) {
+    const entry = plan.entries.find(e => e.file === file && e.name === name);
+    return new Set(entry?.pruned.map(r => r.version) ?? []);
+}
+
+/**
+ * Describe what a plan prunes, one line per release.
+ * @param {RetentionPlan} plan
+ * @param {string} sourceRoot The root of the source files, to show relative paths.
+ * @returns {string[]}
+ */
+export function retentionReport(plan, sourceRoot) {
+    return plan.entries.flatMap(e => e.pruned.map(r => {
+        const files = r.files.map(f => path.relative(sourceRoot, f)).join(', ');
+        return `${path.relative(sourceRoot, e.file)}: ${e.name} ${r.version} (${files || 'no files'})`;
+    }));
+}
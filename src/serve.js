@@ -0,0 +1,305 @@
+import {createReadStream} from 'node:fs';
+import fs from 'node:fs/promises';
+import * as http from 'node:http';
+import * as path from 'node:path';
+import {hashFile} from './cache.js';
+import {ENCODINGS} from './compress.js';
+import {MANIFEST_NAME} from './signing.js';
+
+// Serve `dist/` the way devices fetch the catalog in production: strong ETags from the
+// sha256 of the files, conditional requests, byte ranges and precompressed responses. The
+// fault injection options make some responses slow, truncated or failing, to exercise the
+// retry logic of clients.
+//
+// Usage: npm run serve -- [--port 8080] [--dir dist] [--latency ms] [--fail-rate 0.1]
+//            [--truncate-rate 0.1]
+
+const USAGE = 'Usage: npm run serve -- [--port 8080] [--dir dist] [--latency ms] [--fail-rate 0..1] [--truncate-rate 0..1]';
+
+const CONTENT_TYPES = {
+    '.json': 'application/json',
+    '.sqlite': 'application/vnd.sqlite3',
+    '.sh': 'text/x-shellscript',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.gz': 'application/gzip',
+    '.zip': 'application/zip',
+};
+
+const options = {port: 8080, dir: 'dist', latency: 0, 'fail-rate': 0, 'truncate-rate': 0};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (!args[i].startsWith('--') || !Object.hasOwn(options, name) || args[i + 1] === undefined) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+    options[name] = name === 'dir' ? args[++i] : Number(args[++i]);
+}
+
+const root = path.resolve(options.dir);
+
+/**
+ * The sha256 of the files of `dist/`, by absolute path, with the size and modification time
+ * they were computed for. Filled from the manifest of the build, then lazily.
+ * @type {Map<string, {sha256: string, size: number, mtimeMs: number}>}
+ */
+const hashes = new Map();
+
+/**
+ * Load the sha256 the build computed for the documents and files listed in the manifest. They
+ * are recorded with the modification time of the files when the manifest is loaded, so files
+ * rebuilt since are hashed again.
+ */
+async function loadManifest() {
+    hashes.clear();
+    try {
+        const manifest = JSON.parse(await fs.readFile(path.join(root, MANIFEST_NAME), 'utf8'));
+        const known = async (url, sha256, size) => {
+            const p = path.join(root, url);
+            const stat = await fs.stat(p).catch(() => null);
+            if (stat?.size === size) {
+                hashes.set(p, {sha256, size, mtimeMs: stat.mtimeMs});
+            }
+        };
+        for (const [url, doc] of Object.entries(manifest.documents)) {
+            await known(url, doc.sha256, doc.size);
+            for (const f of doc.files.filter(f => f.sha256)) {
+                await known(f.url, f.sha256, f.size);
+            }
+        }
+    } catch (e) {
+        console.warn(`Could not read the manifest (${e.message}); hashing files on request.`);
+    }
+}
+
+/**
+ * Return the sha256 of a file, from the manifest or a previous request if the file did not
+ * change since.
+ * @param {string} p
+ * @param {import('node:fs').Stats} stat
+ * @returns {Promise<string>}
+ */
+async function sha256Of(p, stat) {
+    const known = hashes.get(p);
+    if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs) {
+        return known.sha256;
+    }
+    const sha256 = await hashFile(p);
+    hashes.set(p, {sha256, size: stat.size, mtimeMs: stat.mtimeMs});
+    return sha256;
+}
+
+/**
+ * Parse a `Range` header for a file of `size` bytes. Only single ranges are supported;
+ * other valid headers are ignored and the whole file is sent.
+ * @param {string|undefined} header
+ * @param {number} size
+ * @returns {{start: number, end: number}|null|'unsatisfiable'}
+ */
+function parseRange(header, size) {
+    const m = /^bytes=(\d*)-(\d*)$/.exec(header ?? '');
+    if (!m || (m[1] === '' && m[2] === '')) {
+        return null;
+    }
+
+    let start, end;
+    if (m[1] === '') {
+        start = Math.max(0, size - Number(m[2]));
+        end = size - 1;
+    } else {
+        start = Number(m[1]);
+        end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+    }
+    return start > end || start >= size ? 'unsatisfiable' : {start, end};
+}
+
+/**
+ * Check an `If-None-Match` header against an ETag.
+ * @param {string|undefined} header
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function matchesEtag(header, etag) {
+    if (header === undefined) {
+        return false;
+    }
+    return header.split(',').map(t => t.trim().replace(/^W\//, '')).some(t => t === '*' || t === etag);
+}
+
+/**
+ * Return the precompressed variant to send for a request, if any.
+ * @param {string} p The requested file.
+ * @param {string|undefined} acceptEncoding
+ * @returns {Promise<{encoding: string, path: string, stat: import('node:fs').Stats}|null>}
+ */
+async function compressedVariant(p, acceptEncoding) {
+    const accepted = (acceptEncoding ?? '').split(',').map(e => e.trim().split(';'))
+        .filter(([, q]) => !q || parseFloat(q.trim().replace(/^q=/, '')) > 0)
+        .map(([e]) => e);
+
+    for (const [encoding, {extension}] of Object.entries(ENCODINGS)) {
+        if (accepted.includes(encoding)) {
+            const stat = await fs.stat(p + extension).catch(() => null);
+            if (stat?.isFile()) {
+                return {encoding, path: p + extension, stat};
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Inject faults in a response, as configured. Returns `true` if the response was handled.
+ * @param {http.ServerResponse} res
+ * @returns {Promise<boolean>}
+ */
+async function injectFaults(res) {
+    if (options.latency > 0) {
+        await new Promise(resolve => setTimeout(resolve, options.latency));
+    }
+    if (Math.random() < options['fail-rate']) {
+        res.writeHead(503, {'Content-Type': 'text/plain', 'Retry-After': '1'});
+        res.end('Injected failure.\n');
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Send a file, or a part of it. With fault injection, the body may be cut short.
+ * @param {http.ServerResponse} res
+ * @param {string} p
+ * @param {{start: number, end: number}} range
+ */
+function sendBody(res, p, {start, end}) {
+    const length = end - start + 1;
+    if (length <= 0) {
+        res.end();
+        return;
+    }
+
+    // The file may be removed or replaced by a build while it is sent.
+    const onError = e => {
+        console.error(`Could not read ${p}: ${e.message}`);
+        res.destroy();
+    };
+    if (length > 1 && Math.random() < options['truncate-rate']) {
+        const stream = createReadStream(p, {start, end: start + Math.floor(length / 2) - 1});
+        stream.on('error', onError);
+        stream.on('end', () => res.destroy());
+        stream.pipe(res, {end: false});
+        return;
+    }
+    createReadStream(p, {start, end}).on('error', onError).pipe(res);
+}
+
+/**
+ * Handle a request.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handle(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, {Allow: 'GET, HEAD'});
+        res.end();
+        return;
+    }
+    if (await injectFaults(res)) {
+        return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (_) {
+        res.writeHead(400, {'Content-Type': 'text/plain'});
+        res.end('Bad request.\n');
+        return;
+    }
+
+    // Folders (including the root) are served their `index.html`.
+    let p = path.join(root, pathname);
+    let stat = p.startsWith(root + path.sep) ? await fs.stat(p).catch(() => null) : null;
+    if (stat?.isDirectory()) {
+        p = path.join(p, 'index.html');
+        stat = await fs.stat(p).catch(() => null);
+    }
+    if (!stat?.isFile()) {
+        res.writeHead(404, {'Content-Type': 'text/plain'});
+        res.end('Not found.\n');
+        return;
+    }
+
+    const sha256 = await sha256Of(p, stat);
+    const headers = {
+        'Content-Type': CONTENT_TYPES[path.extname(p)] ?? 'application/octet-stream',
+        'Accept-Ranges': 'bytes',
+        'Cache-Control': 'no-cache',
+        'Last-Modified': stat.mtime.toUTCString(),
+        'Vary': 'Accept-Encoding',
+    };
+
+    // Ranges are served from the file itself, other requests from a compressed variant.
+    const range = req.headers['if-range'] === undefined || req.headers['if-range'] === `"${sha256}"`
+        ? parseRange(req.headers.range, stat.size)
+        : null;
+    const variant = range === null ? await compressedVariant(p, req.headers['accept-encoding']) : null;
+    headers['ETag'] = variant ? `"${sha256}-${variant.encoding}"` : `"${sha256}"`;
+
+    if (matchesEtag(req.headers['if-none-match'], headers['ETag'])) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    if (range === 'unsatisfiable') {
+        res.writeHead(416, {...headers, 'Content-Range': `bytes */${stat.size}`});
+        res.end();
+        return;
+    }
+
+    let body = {path: p, start: 0, end: stat.size - 1};
+    if (variant) {
+        headers['Content-Encoding'] = variant.encoding;
+        headers['Content-Length'] = variant.stat.size;
+        body = {path: variant.path, start: 0, end: variant.stat.size - 1};
+        res.writeHead(200, headers);
+    } else if (range) {
+        headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stat.size}`;
+        headers['Content-Length'] = range.end - range.start + 1;
+        body = {path: p, ...range};
+        res.writeHead(206, headers);
+    } else {
+        headers['Content-Length'] = stat.size;
+        res.writeHead(200, headers);
+    }
+
+    if (req.method === 'HEAD') {
+        res.end();
+    } else {
+        sendBody(res, body.path, body);
+    }
+}
+
+await loadManifest();
+
+const server = http.createServer((req, res) => {
+    handle(req, res).catch(e => {
+        console.error(e);
+        if (!res.headersSent) {
+            res.writeHead(500, {'Content-Type': 'text/plain'});
+        }
+        res.end();
+    });
+    res.on('finish', () => console.log(`${req.method} ${req.url} ${res.statusCode}`));
+});
+
+server.listen(options.port, () => {
+    console.log(`Serving ${path.relative(process.cwd(), root) || '.'} on http://localhost:${options.port}/`);
+});
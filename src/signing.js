@@ -0,0 +1,189 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as crypto from 'node:crypto';
+import {hashFile, listFiles} from './cache.js';
+
+// The official 1FPGA public key. Updating this is risky.
+export const PUBLIC_KEY = `
+-----BEGIN PUBLIC KEY-----
+MCowBQYDK2VwAyEA04SX9mHaW2D09TF5G7hOQrGgqf6uTUcRv4KOXhL4kCs=
+-----END PUBLIC KEY-----
+`.trim();
+
+/** The name of the manifest file, at the root of `dist/`. */
+export const MANIFEST_NAME = 'manifest.json';
+
+/**
+ * Read a PEM key from an environment variable, either directly (`NAME`) or from a file
+ * (`NAME_FILE`).
+ * @param {string} name The name of the environment variable.
+ * @returns {Promise<string|null>} The PEM, or `null` if neither variable is set.
+ */
+async function keyFromEnv(name) {
+    if (process.env[name]) {
+        return process.env[name];
+    }
+    if (process.env[`${name}_FILE`]) {
+        return await fs.readFile(process.env[`${name}_FILE`], 'utf8');
+    }
+    return null;
+}
+
+/**
+ * Load the public key used to verify signatures. This is the official 1FPGA key, unless
+ * `ONEFPGA_PUBLIC_KEY` or `ONEFPGA_PUBLIC_KEY_FILE` is set (e.g. for a mirror or for tests).
+ * @returns {Promise<crypto.KeyObject>}
+ */
+export async function loadPublicKey() {
+    return crypto.createPublicKey(await keyFromEnv('ONEFPGA_PUBLIC_KEY') ?? PUBLIC_KEY);
+}
+
+/**
+ * Load the private key used to sign the catalog, from `ONEFPGA_SIGNING_KEY` or
+ * `ONEFPGA_SIGNING_KEY_FILE`. The key must be an Ed25519 key matching the public key.
+ * @param {crypto.KeyObject} publicKey The public key devices will verify signatures with.
+ * @returns {Promise<crypto.KeyObject|null>} The private key, or `null` if none was provided.
+ * @throws {Error} If the key is not an Ed25519 key, or does not match the public key.
+ */
+export async function loadSigningKey(publicKey) {
+    const pem = await keyFromEnv('ONEFPGA_SIGNING_KEY');
+    if (pem === null) {
+        return null;
+    }
+
+    const privateKey = crypto.createPrivateKey(pem);
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`The signing key must be an Ed25519 key, found ${privateKey.asymmetricKeyType}.`);
+    }
+    const derived = crypto.createPublicKey(privateKey).export({type: 'spki', format: 'der'});
+    if (!derived.equals(publicKey.export({type: 'spki', format: 'der'}))) {
+        throw new Error('The signing key does not match the public key; devices would reject the catalog.');
+    }
+    return privateKey;
+}
+
+/**
+ * Calculate the signature of a file. This is done by reading the `fPath.sig` file.
+ * If the file does not exist, `null` is returned. If the file exists but is invalid,
+ * an error is thrown.
+ *
+ * @param fPath The path to the file.
+ * @param {crypto.KeyObject|string} key The public key to use for verification.
+ * @returns The signature of the file, or `null` if the signature file does not exist.
+ * @throws Error An error if the signature file exists but is invalid.
+ */
+export async function calculateSignature(fPath, key) {
+    const sigPath = fPath + '.sig';
+    try {
+        await fs.access(sigPath);
+    } catch (_) {
+        return null;
+    }
+
+    const publicKey = key instanceof crypto.KeyObject ? key : crypto.createPublicKey(key);
+    const data = Buffer.from(await fs.readFile(fPath));
+    const sig = Buffer.from(await fs.readFile(sigPath));
+    const result = crypto.verify(null, data, publicKey, sig);
+    if (result !== true) {
+        throw new Error(`Could not validate signature in ${JSON.stringify(fPath)}...`);
+    }
+
+    return sig.toString('base64');
+}
+
+/**
+ * Update the `signature` field of a file entry from its `.sig` file.
+ * @param {Record} f The file entry (e.g. a release file) to update.
+ * @param {string} fPath The path to the file.
+ * @param {crypto.KeyObject} key The public key to use for verification.
+ */
+export async function updateSignature(f, fPath, key) {
+    const signature = await calculateSignature(fPath, key);
+    if (!signature) {
+        delete f.signature;
+    } else {
+        f.signature = signature;
+    }
+}
+
+/**
+ * Sign a file with a private key, writing the raw signature in `fPath.sig`.
+ * @param {string} fPath The path to the file.
+ * @param {crypto.KeyObject} privateKey
+ */
+export async function signFile(fPath, privateKey) {
+    const sig = crypto.sign(null, await fs.readFile(fPath), privateKey);
+    await fs.writeFile(fPath + '.sig', sig);
+}
+
+/**
+ * Check if a URL is absolute (has a scheme, e.g. `https://`).
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isAbsoluteUrl(url) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+/**
+ * Collect all file references (objects with a `url` and a `sha256`) in a JSON document.
+ * @param {*} value The JSON value.
+ * @param {{url: string, size?: number, sha256: string}[]} result The references found.
+ * @returns {{url: string, size?: number, sha256: string}[]}
+ */
+function collectReferences(value, result = []) {
+    if (Array.isArray(value)) {
+        value.forEach(v => collectReferences(v, result));
+    } else if (value !== null && typeof value === 'object') {
+        if (typeof value.url === 'string' && typeof value.sha256 === 'string') {
+            const {url, size, sha256} = value;
+            result.push({url, size, sha256});
+        }
+        Object.values(value).forEach(v => collectReferences(v, result));
+    }
+    return result;
+}
+
+/**
+ * Write the manifest of the catalog, listing every JSON document in `dist/` with its size and
+ * sha256 and the hashes of every file it references (with URLs relative to the root). If a
+ * private key is provided, every JSON document and the manifest itself are signed.
+ *
+ * @param {string} distRoot The `dist/` folder.
+ * @param {crypto.KeyObject|null} privateKey The key to sign with, if any.
+ * @returns {Promise<string>} The path of the manifest.
+ */
+export async function writeManifest(distRoot, privateKey) {
+    const manifestPath = path.join(distRoot, MANIFEST_NAME);
+    const documents = {};
+
+    for (const f of await listFiles(distRoot)) {
+        if (path.extname(f) !== '.json' || f === manifestPath) {
+            continue;
+        }
+
+        const url = `./${path.relative(distRoot, f).split(path.sep).join('/')}`;
+        // Absolute URLs (e.g. in a catalog exported for a mirror) are kept as is.
+        const references = collectReferences(JSON.parse(await fs.readFile(f, 'utf8')))
+            .map(r => isAbsoluteUrl(r.url) ? r : {...r, url: `./${path.relative(distRoot, path.resolve(path.dirname(f), r.url)).split(path.sep).join('/')}`});
+
+        documents[url] = {
+            size: (await fs.stat(f)).size,
+            sha256: await hashFile(f),
+            files: references,
+        };
+
+        if (privateKey) {
+            await signFile(f, privateKey);
+        }
+    }
+
+    await fs.writeFile(manifestPath, JSON.stringify({
+        signed: privateKey !== null,
+        documents,
+    }), 'utf8');
+    if (privateKey) {
+        await signFile(manifestPath, privateKey);
+    }
+    return manifestPath;
+}
@@ -0,0 +1,82 @@
+import {compareVersions} from './versions.js';
+
+/**
+ * Release tags. Cores and 1FPGA releases tag their releases (e.g. `tags = ["latest"]`); the
+ * build resolves them into a map from tag to version, emitted next to the releases so devices
+ * don't have to scan them.
+ *
+ * Exclusive tags can be on at most one release of a core (or of a 1FPGA release name). Other
+ * tags can be on any number of releases, and resolve to the highest version carrying them.
+ */
+
+/** Tags that at most one release can carry. */
+export const EXCLUSIVE_TAGS = ['latest', 'lts', 'beta'];
+
+/**
+ * @typedef {Object} TaggedRelease
+ * @property {string} version
+ * @property {string[]} [tags]
+ * @property {Array} [files]
+ */
+
+/**
+ * An issue with the tags of releases.
+ * @typedef {Object} TagIssue
+ * @property {string} path The key path of the tags, relative to the releases (e.g. `[2].tags`).
+ * @property {string} message
+ */
+
+/**
+ * List the exclusive tags carried by more than one release. Every release carrying a tag
+ * already carried by a previous release is reported.
+ * @param {TaggedRelease[]} releases
+ * @returns {TagIssue[]}
+ */
+export function tagConflicts(releases) {
+    return EXCLUSIVE_TAGS.flatMap(tag => {
+        const holders = [...releases.entries()].filter(([, r]) => (r.tags ?? []).includes(tag));
+        return holders.slice(1).map(([i, r]) => ({
+            path: `[${i}].tags`,
+            message: `tag ${JSON.stringify(tag)} is on more than one release (${holders.map(([, h]) => h.version).join(', ')})`,
+        }));
+    });
+}
+
+/**
+ * Resolve the tags of releases into a map from tag to version. Conflicts are not checked
+ * here; see `tagConflicts()`.
+ * @param {TaggedRelease[]} releases
+ * @returns {Record<string, string>}
+ */
+export function resolveTags(releases) {
+    const tags = {};
+    for (const r of releases) {
+        for (const tag of r.tags ?? []) {
+            if (tags[tag] === undefined || compareVersions(r.version, tags[tag]) > 0) {
+                tags[tag] = r.version;
+            }
+        }
+    }
+    return tags;
+}
+
+/**
+ * List the resolved tags that don't point to a published release with files.
+ * @param {Record<string, string>} tags The resolved tags, see `resolveTags()`.
+ * @param {TaggedRelease[]} releases Every release, published or not.
+ * @param {TaggedRelease[]} published The releases that are published.
+ * @returns {TagIssue[]}
+ */
+export function danglingTags(tags, releases, published) {
+    const issues = [];
+    for (const [tag, version] of Object.entries(tags)) {
+        const p = `[${releases.findIndex(r => r.version === version)}].tags`;
+        const release = published.find(r => r.version === version);
+        if (!release) {
+            issues.push({path: p, message: `tag ${JSON.stringify(tag)} points to release ${version}, which is not published (pruned by the retention policy?)`});
+        } else if ((release.files ?? []).length === 0) {
+            issues.push({path: p, message: `tag ${JSON.stringify(tag)} points to release ${version}, which has no files`});
+        }
+    }
+    return issues;
+}
@@ -0,0 +1,658 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as toml from 'toml';
+import {parseVersion} from './versions.js';
+import {orderChannels} from './channels.js';
+import {tagConflicts} from './tags.js';
+import {ENTRY_HASHES, entryReferences, entrySystem} from './playlists.js';
+
+/**
+ * A single schema violation.
+ * @typedef {Object} Issue
+ * @property {string} file The file (relative to the source root) where the violation was found.
+ * @property {string} path The key path inside the file (e.g. `releases[0].files[0].type`).
+ * @property {string} message A human-readable description of the violation.
+ */
+
+/**
+ * A validator checks a value and reports issues through the `report` callback.
+ * @typedef {function(*, string, function(string, string): void): void} Validator
+ */
+
+/**
+ * Error thrown when one or more source files do not match their schema.
+ */
+export class ValidationError extends Error {
+    /**
+     * @param {Issue[]} issues The list of issues found.
+     */
+    constructor(issues) {
+        super(`${issues.length} validation error(s):\n`
+            + issues.map(i => `  ${i.file}: ${i.path || '<root>'}: ${i.message}`).join('\n'));
+        this.name = 'ValidationError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Join a key path with a new key (or array index).
+ * @param {string} p The parent path.
+ * @param {string|number} key The key or index to append.
+ * @returns {string}
+ */
+function join(p, key) {
+    if (typeof key === 'number') {
+        return `${p}[${key}]`;
+    }
+    return p ? `${p}.${key}` : key;
+}
+
+/**
+ * Return a readable name for the type of `value`.
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return value === null ? 'null' : typeof value;
+}
+
+/**
+ * Mark a validator as optional. Optional keys can be missing from an object.
+ * @param {Validator} validator
+ * @returns {Validator}
+ */
+export function optional(validator) {
+    const v = (value, p, report) => validator(value, p, report);
+    v.optional = true;
+    return v;
+}
+
+/**
+ * @param {{nonEmpty?: boolean}} options
+ * @returns {Validator}
+ */
+export function string({nonEmpty = false} = {}) {
+    return (value, p, report) => {
+        if (typeof value !== 'string') {
+            report(p, `expected a string, found ${typeOf(value)}`);
+        } else if (nonEmpty && value.trim() === '') {
+            report(p, `must not be empty`);
+        }
+    };
+}
+
+/**
+ * A version string (see `versions.js`). Empty strings mean "no version" and are only
+ * accepted if `nonEmpty` is false (e.g. for versions updated by the build system).
+ * @param {{nonEmpty?: boolean}} options
+ * @returns {Validator}
+ */
+export function version({nonEmpty = false} = {}) {
+    return (value, p, report) => {
+        if (typeof value !== 'string') {
+            report(p, `expected a version string, found ${typeOf(value)}`);
+            return;
+        }
+        if (nonEmpty && value.trim() === '') {
+            report(p, `must not be empty`);
+            return;
+        }
+        try {
+            parseVersion(value);
+        } catch (e) {
+            report(p, e.message);
+        }
+    };
+}
+
+/**
+ * @returns {Validator}
+ */
+export function integer() {
+    return (value, p, report) => {
+        if (!Number.isInteger(value)) {
+            report(p, `expected an integer, found ${typeOf(value)}`);
+        }
+    };
+}
+
+/**
+ * @returns {Validator}
+ */
+export function boolean() {
+    return (value, p, report) => {
+        if (typeof value !== 'boolean') {
+            report(p, `expected a boolean, found ${typeOf(value)}`);
+        }
+    };
+}
+
+/** Unique names end up in file names and URLs: lowercase letters, digits, `-` and `_`. */
+export const UNIQUE_NAME_RE = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * @returns {Validator} A validator accepting unique names (see `UNIQUE_NAME_RE`).
+ */
+export function uniqueName() {
+    return (value, p, report) => {
+        if (typeof value !== 'string' || !UNIQUE_NAME_RE.test(value)) {
+            report(p, `expected a unique name (lowercase letters, digits, "-" and "_"), found ${JSON.stringify(value)}`);
+        }
+    };
+}
+
+/**
+ * @param {string} algorithm The name of the hash (e.g. `md5`).
+ * @param {number} length The number of hexadecimal characters of the hash.
+ * @returns {Validator} A validator accepting hexadecimal hashes of that length.
+ */
+export function hexDigest(algorithm, length) {
+    const re = new RegExp(`^[0-9a-fA-F]{${length}}$`);
+    return (value, p, report) => {
+        if (typeof value !== 'string' || !re.test(value)) {
+            report(p, `expected a ${algorithm} (${length} hexadecimal characters), found ${JSON.stringify(value)}`);
+        }
+    };
+}
+
+/**
+ * @returns {Validator} A validator accepting hexadecimal SHA-256 hashes.
+ */
+export function sha256() {
+    return hexDigest('sha256', 64);
+}
+
+/**
+ * @returns {Validator} A validator accepting strings, integers and booleans.
+ */
+export function scalar() {
+    return (value, p, report) => {
+        if (!['string', 'boolean'].includes(typeof value) && !Number.isInteger(value)) {
+            report(p, `expected a string, an integer or a boolean, found ${typeOf(value)}`);
+        }
+    };
+}
+
+/**
+ * @param {string[]} values The allowed values.
+ * @returns {Validator}
+ */
+export function oneOf(values) {
+    return (value, p, report) => {
+        if (!values.includes(value)) {
+            report(p, `expected one of ${values.map(v => JSON.stringify(v)).join(', ')}, found ${JSON.stringify(value)}`);
+        }
+    };
+}
+
+/**
+ * @param {Validator} item The validator for every item of the array.
+ * @returns {Validator}
+ */
+export function array(item) {
+    return (value, p, report) => {
+        if (!Array.isArray(value)) {
+            report(p, `expected an array, found ${typeOf(value)}`);
+            return;
+        }
+        value.forEach((v, i) => item(v, join(p, i), report));
+    };
+}
+
+/**
+ * Validate an object with a known set of keys. Unknown keys are reported, as they are
+ * most likely typos (e.g. `system` instead of `systems`).
+ * @param {Record<string, Validator>} shape The validators for each key.
+ * @returns {Validator}
+ */
+export function object(shape) {
+    return (value, p, report) => {
+        if (typeOf(value) !== 'object') {
+            report(p, `expected a table, found ${typeOf(value)}`);
+            return;
+        }
+
+        for (const [key, validator] of Object.entries(shape)) {
+            if (!Object.hasOwn(value, key)) {
+                if (!validator.optional) {
+                    report(join(p, key), `missing required key`);
+                }
+            } else {
+                validator(value[key], join(p, key), report);
+            }
+        }
+        for (const key of Object.keys(value)) {
+            if (!Object.hasOwn(shape, key)) {
+                report(join(p, key), `unknown key`);
+            }
+        }
+    };
+}
+
+/**
+ * Validate an object used as a map, where every value has the same shape.
+ * @param {Validator} item The validator for every value.
+ * @returns {Validator}
+ */
+export function record(item) {
+    return (value, p, report) => {
+        if (typeOf(value) !== 'object') {
+            report(p, `expected a table, found ${typeOf(value)}`);
+            return;
+        }
+        for (const [key, v] of Object.entries(value)) {
+            item(v, join(p, key), report);
+        }
+    };
+}
+
+/** A reference to another document of the catalog, e.g. `cores.url`. */
+const REFERENCE = object({
+    url: string({nonEmpty: true}),
+    version: version(),
+});
+
+/** A retention policy, see `retention.js`. */
+const RETENTION = object({
+    keep: optional(integer()),
+    keepTagged: optional(boolean()),
+    keepSince: optional(version({nonEmpty: true})),
+});
+
+export const CATALOG_SCHEMA = object({
+    name: string({nonEmpty: true}),
+    uniqueName: uniqueName(),
+    version: version(),
+    defaultChannel: string({nonEmpty: true}),
+    channels: record(object({
+        name: string({nonEmpty: true}),
+        description: optional(string()),
+        inherits: optional(string({nonEmpty: true})),
+    })),
+    retention: optional(object({
+        cores: optional(RETENTION),
+        releases: optional(RETENTION),
+    })),
+    platforms: record(object({
+        name: string({nonEmpty: true}),
+        arch: string({nonEmpty: true}),
+    })),
+    defaultPlatform: optional(string({nonEmpty: true})),
+});
+
+export const CORES_SCHEMA = record(REFERENCE);
+
+export const CORE_SCHEMA = object({
+    name: string({nonEmpty: true}),
+    gameName: optional(string({nonEmpty: true})),
+    uniqueName: uniqueName(),
+    description: string(),
+    icon: optional(string({nonEmpty: true})),
+    systems: array(string({nonEmpty: true})),
+    tags: array(string({nonEmpty: true})),
+    retention: optional(RETENTION),
+    // The files the core loads: the extensions each load slot of the OSD accepts, and the
+    // BIOS files it needs in its games folder.
+    slots: optional(array(object({
+        name: string({nonEmpty: true}),
+        index: optional(integer()),
+        extensions: array(string({nonEmpty: true})),
+    }))),
+    bios: optional(array(object({
+        name: string({nonEmpty: true}),
+        description: optional(string()),
+        required: boolean(),
+        sha256: sha256(),
+        size: integer(),
+    }))),
+    saves: optional(object({
+        savefiles: optional(boolean()),
+        saveStates: optional(boolean()),
+    })),
+    // Default values of the core's OSD options, by option name.
+    settings: optional(record(scalar())),
+    releases: array(object({
+        version: version({nonEmpty: true}),
+        tags: optional(array(string({nonEmpty: true}))),
+        files: array(object({
+            type: oneOf(['mister.core.rbf']),
+            url: string({nonEmpty: true}),
+            signature: optional(string()),
+            size: integer(),
+            sha256: string(),
+        })),
+    })),
+});
+
+export const SYSTEMS_SCHEMA = record(REFERENCE);
+
+/** A database file attached to a system. */
+const SYSTEM_DB = object({
+    version: version({nonEmpty: true}),
+    url: string({nonEmpty: true}),
+    signature: optional(string()),
+    size: integer(),
+    sha256: string(),
+});
+
+export const SYSTEM_SCHEMA = object({
+    name: string({nonEmpty: true}),
+    uniqueName: uniqueName(),
+    description: string(),
+    tags: array(string({nonEmpty: true})),
+    category: oneOf(['console', 'computer', 'arcade', 'handheld', 'utility', 'other']),
+    version: optional(version({nonEmpty: true})),
+    gamesDb: optional(SYSTEM_DB),
+    db: optional(SYSTEM_DB),
+});
+
+export const RELEASES_SCHEMA = record(array(object({
+    version: version({nonEmpty: true}),
+    tags: optional(array(string({nonEmpty: true}))),
+    files: array(object({
+        url: string({nonEmpty: true}),
+        platform: string({nonEmpty: true}),
+        arch: string({nonEmpty: true}),
+        minFirmware: optional(version({nonEmpty: true})),
+        signature: string(),
+        sha256: string(),
+        size: integer(),
+    })),
+})));
+
+export const PLAYLISTS_SCHEMA = record(REFERENCE);
+
+export const PLAYLIST_SCHEMA = object({
+    title: string({nonEmpty: true}),
+    uniqueName: uniqueName(),
+    description: optional(string()),
+    version: version({nonEmpty: true}),
+    // The system of the entries that don't name theirs.
+    system: optional(string({nonEmpty: true})),
+    // Every entry references a game by its full name or by the hash of one of its files.
+    entries: array(object({
+        system: optional(string({nonEmpty: true})),
+        fullname: optional(string({nonEmpty: true})),
+        sha256: optional(sha256()),
+        sha1: optional(hexDigest('sha1', 40)),
+        md5: optional(hexDigest('md5', 32)),
+    })),
+});
+
+/**
+ * Collects issues while validating the source tree.
+ */
+class IssueCollector {
+    /**
+     * @param {string} sourceRoot The root of the source files.
+     */
+    constructor(sourceRoot) {
+        this.sourceRoot = sourceRoot;
+        /** @type {Issue[]} */
+        this.issues = [];
+    }
+
+    /**
+     * Record an issue.
+     * @param {string} file The absolute path of the file.
+     * @param {string} p The key path.
+     * @param {string} message The issue.
+     */
+    report(file, p, message) {
+        this.issues.push({file: path.relative(this.sourceRoot, file), path: p, message});
+    }
+
+    /**
+     * Parse a TOML file and validate it against a schema. Returns `null` if the file could
+     * not be read or parsed (the issue is recorded).
+     * @param {string} file The absolute path of the file.
+     * @param {Validator} schema The schema to validate against.
+     * @returns {Promise<Record|null>}
+     */
+    async load(file, schema) {
+        let data;
+        try {
+            data = toml.parse(await fs.readFile(file, 'utf8'));
+        } catch (e) {
+            const where = e.line !== undefined ? ` (line ${e.line}, column ${e.column})` : '';
+            this.report(file, '', e.code === 'ENOENT' ? 'file not found' : `${e.message}${where}`);
+            return null;
+        }
+
+        schema(data, '', (p, message) => this.report(file, p, message));
+        return data;
+    }
+}
+
+/**
+ * Return the source TOML path of a JSON document referenced by `url` from `from`.
+ * @param {string} from The absolute path of the referencing file.
+ * @param {string} url The URL of the JSON document, relative to `from`.
+ * @returns {string}
+ */
+function sourceOf(from, url) {
+    const p = path.resolve(path.dirname(from), url);
+    return path.join(path.dirname(p), path.basename(p, '.json') + '.toml');
+}
+
+/**
+ * Validate a document referencing other documents keyed by their unique name, checking each
+ * referenced document against `schema` and its `uniqueName` against its key.
+ * @param {IssueCollector} v The collector for issues.
+ * @param {string} indexPath The absolute path of the index file (e.g. `cores.toml`).
+ * @param {Validator} indexSchema The schema of the index file.
+ * @param {Validator} schema The schema of each referenced document.
+ * @returns {Promise<Record<string, {path: string, data: Record|null}>>} The documents by name,
+ *          `data` being `null` if the document could not be loaded.
+ */
+async function loadIndexed(v, indexPath, indexSchema, schema) {
+    const result = {};
+    const index = await v.load(indexPath, indexSchema);
+    if (typeOf(index) !== 'object') {
+        return result;
+    }
+
+    for (const [name, entry] of Object.entries(index)) {
+        if (typeof entry?.url !== 'string') {
+            continue;
+        }
+        const docPath = sourceOf(indexPath, entry.url);
+        const doc = await v.load(docPath, schema);
+        if (typeof doc?.uniqueName === 'string' && doc.uniqueName !== name) {
+            v.report(docPath, 'uniqueName', `expected ${JSON.stringify(name)} to match its key in ${path.basename(indexPath)}, found ${JSON.stringify(doc.uniqueName)}`);
+        }
+        result[name] = {path: docPath, data: doc};
+    }
+
+    return result;
+}
+
+/**
+ * Check whether a file exists.
+ * @param {string} p
+ * @returns {Promise<boolean>}
+ */
+async function exists(p) {
+    try {
+        await fs.access(p);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Report the exclusive tags (e.g. `latest`) carried by more than one release.
+ * @param {IssueCollector} v
+ * @param {string} file
+ * @param {string} p The key path of the releases.
+ * @param {*} releases
+ */
+function checkTags(v, file, p, releases) {
+    if (Array.isArray(releases) && releases.every(r => typeOf(r) === 'object' && (r.tags === undefined || Array.isArray(r.tags)))) {
+        tagConflicts(releases).forEach(i => v.report(file, `${p}${i.path}`, i.message));
+    }
+}
+
+/**
+ * Check that the files of every release match the platforms declared in the catalog, and
+ * that every release provides files for all of them.
+ * @param {IssueCollector} v
+ * @param {string} releasesPath
+ * @param {Record} releases The content of `releases.toml`.
+ * @param {Record} platforms The platforms declared in `catalog.toml`.
+ */
+function checkPlatforms(v, releasesPath, releases, platforms) {
+    for (const [name, versions] of Object.entries(releases)) {
+        (Array.isArray(versions) ? versions : []).forEach((r, i) => {
+            const files = Array.isArray(r?.files) ? r.files : [];
+            files.forEach((f, j) => {
+                if (typeof f?.platform !== 'string') {
+                    return;
+                }
+                const platform = platforms[f.platform];
+                if (!platform) {
+                    v.report(releasesPath, `${name}[${i}].files[${j}].platform`, `unknown platform ${JSON.stringify(f.platform)}`);
+                } else if (typeof f.arch === 'string' && f.arch !== platform.arch) {
+                    v.report(releasesPath, `${name}[${i}].files[${j}].arch`,
+                        `expected ${JSON.stringify(platform.arch)} for platform ${JSON.stringify(f.platform)}, found ${JSON.stringify(f.arch)}`);
+                }
+            });
+            for (const id of Object.keys(platforms)) {
+                if (!files.some(f => f?.platform === id)) {
+                    v.report(releasesPath, `${name}[${i}].files`, `no file for platform ${JSON.stringify(id)}`);
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Check that every entry of a playlist references exactly one game of a system of the
+ * channel, once. Whether the game exists is checked against the built games databases.
+ * @param {IssueCollector} v
+ * @param {string} playlistPath
+ * @param {Record} playlist
+ * @param {Set<string>} systems The systems of the channel.
+ * @param {string} channel
+ */
+function checkPlaylist(v, playlistPath, playlist, systems, channel) {
+    if (!Array.isArray(playlist.entries)) {
+        return;
+    }
+    if (typeof playlist.system === 'string' && !systems.has(playlist.system)) {
+        v.report(playlistPath, 'system', `unknown system ${JSON.stringify(playlist.system)} in channel ${JSON.stringify(channel)}`);
+    }
+
+    const seen = new Map();
+    playlist.entries.forEach((entry, i) => {
+        if (typeOf(entry) !== 'object') {
+            return;
+        }
+        const system = entrySystem(playlist, entry);
+        const references = entryReferences(entry);
+        if (system === null) {
+            v.report(playlistPath, `entries[${i}]`, 'missing system (and no system for the playlist)');
+        } else if (typeof entry.system === 'string' && !systems.has(entry.system)) {
+            v.report(playlistPath, `entries[${i}].system`, `unknown system ${JSON.stringify(entry.system)} in channel ${JSON.stringify(channel)}`);
+        }
+        if (references.length !== 1) {
+            v.report(playlistPath, `entries[${i}]`, `expected exactly one of fullname, ${ENTRY_HASHES.join(', ')}, found ${references.length}`);
+            return;
+        }
+
+        const key = JSON.stringify([system, references[0], String(entry[references[0]]).toLowerCase()]);
+        if (seen.has(key)) {
+            v.report(playlistPath, `entries[${i}]`, `duplicate of entries[${seen.get(key)}]`);
+        } else {
+            seen.set(key, i);
+        }
+    });
+}
+
+/**
+ * Validate the whole source tree, starting at `catalog.toml`. Every channel declared in the
+ * catalog is validated; documents of a channel are validated against their schema, and
+ * cross-references between documents are checked (taking inherited documents into account).
+ * @param {string} sourceRoot The root of the source files (containing `catalog.toml`).
+ * @throws {ValidationError} If any violation was found.
+ */
+export async function validate(sourceRoot) {
+    const v = new IssueCollector(sourceRoot);
+    const catalogPath = path.join(sourceRoot, 'catalog.toml');
+    const catalog = await v.load(catalogPath, CATALOG_SCHEMA);
+
+    let channels = [];
+    if (typeOf(catalog?.channels) === 'object') {
+        try {
+            channels = orderChannels(catalog);
+        } catch (e) {
+            v.report(catalogPath, 'channels', e.message);
+        }
+        if (typeof catalog.defaultChannel === 'string' && !Object.hasOwn(catalog.channels, catalog.defaultChannel)) {
+            v.report(catalogPath, 'defaultChannel', `unknown channel ${JSON.stringify(catalog.defaultChannel)}`);
+        }
+    }
+    if (typeof catalog?.defaultPlatform === 'string' && typeOf(catalog.platforms) === 'object'
+        && !Object.hasOwn(catalog.platforms, catalog.defaultPlatform)) {
+        v.report(catalogPath, 'defaultPlatform', `unknown platform ${JSON.stringify(catalog.defaultPlatform)}`);
+    }
+
+    /** @type {Record<string, Set<string>>} The systems available in each channel. */
+    const channelSystems = {};
+    for (const channel of channels) {
+        const dir = path.join(sourceRoot, channel.id);
+        const inherited = channel.inherits !== null;
+        const systems = new Set(inherited ? channelSystems[channel.inherits] : []);
+        channelSystems[channel.id] = systems;
+
+        // Channels inheriting from another channel only declare what differs.
+        const systemsPath = path.join(dir, 'systems.toml');
+        if (!inherited || await exists(systemsPath)) {
+            const own = await loadIndexed(v, systemsPath, SYSTEMS_SCHEMA, SYSTEM_SCHEMA);
+            Object.keys(own).forEach(s => systems.add(s));
+        }
+
+        // Every system referenced by a core must exist.
+        const coresPath = path.join(dir, 'cores.toml');
+        if (!inherited || await exists(coresPath)) {
+            const cores = await loadIndexed(v, coresPath, CORES_SCHEMA, CORE_SCHEMA);
+            for (const {path: corePath, data} of Object.values(cores)) {
+                checkTags(v, corePath, 'releases', data?.releases);
+                (Array.isArray(data?.systems) ? data.systems : []).forEach((s, i) => {
+                    if (typeof s === 'string' && !systems.has(s)) {
+                        v.report(corePath, `systems[${i}]`, `unknown system ${JSON.stringify(s)} in channel ${JSON.stringify(channel.id)}`);
+                    }
+                });
+            }
+        }
+
+        // Every release must provide a file for every platform, built for its architecture.
+        const releasesPath = path.join(dir, 'releases.toml');
+        if (!inherited || await exists(releasesPath)) {
+            const releases = await v.load(releasesPath, RELEASES_SCHEMA);
+            if (typeOf(releases) === 'object') {
+                Object.entries(releases).forEach(([name, r]) => checkTags(v, releasesPath, name, r));
+            }
+            if (typeOf(releases) === 'object' && typeOf(catalog.platforms) === 'object') {
+                checkPlatforms(v, releasesPath, releases, catalog.platforms);
+            }
+        }
+
+        // Playlists are optional, and their entries must reference systems of the channel.
+        const playlistsPath = path.join(dir, 'playlists.toml');
+        if (await exists(playlistsPath)) {
+            const playlists = await loadIndexed(v, playlistsPath, PLAYLISTS_SCHEMA, PLAYLIST_SCHEMA);
+            for (const {path: playlistPath, data} of Object.values(playlists)) {
+                if (typeOf(data) === 'object') {
+                    checkPlaylist(v, playlistPath, data, systems, channel.id);
+                }
+            }
+        }
+    }
+
+    if (v.issues.length > 0) {
+        throw new ValidationError(v.issues);
+    }
+}
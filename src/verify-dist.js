@@ -0,0 +1,42 @@
+import fs from 'node:fs/promises';
+import {loadPublicKey} from './signing.js';
+import {verifyBuild, verifySummary} from './verify.js';
+
+// Verify a built catalog: every URL must resolve to a file matching the size, sha256 and
+// signature recorded for it. Prints a summary (or the report, with `--json`), and exits with
+// an error if anything is wrong. The build runs the same verification.
+//
+// Usage: npm run verify -- [--json] [--output report.json] [dist]
+
+const args = process.argv.slice(2);
+const dirs = [];
+let json = false;
+let output = undefined;
+
+for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+        case '--json':
+            json = true;
+            break;
+        case '--output':
+        case '-o':
+            output = args[++i];
+            break;
+        default:
+            dirs.push(args[i]);
+    }
+}
+
+if (dirs.length > 1) {
+    console.error('Usage: npm run verify -- [--json] [--output report.json] [dist]');
+    process.exit(1);
+}
+
+const report = await verifyBuild(dirs[0] ?? 'dist', await loadPublicKey());
+if (output) {
+    await fs.writeFile(output, JSON.stringify(report, null, 2) + '\n', 'utf8');
+}
+console.log(json ? JSON.stringify(report, null, 2) : verifySummary(report));
+if (report.errors.length > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,220 @@
+import fs from 'node:fs/promises';
+import * as path from 'node:path';
+import * as crypto from 'node:crypto';
+import {hashFile, listFiles} from './cache.js';
+import {ENCODINGS} from './compress.js';
+import {isAbsoluteUrl, MANIFEST_NAME} from './signing.js';
+
+/**
+ * Verification of a built `dist/`. Starting from `catalog.json`, every JSON document is read
+ * and every `url` it contains is followed: referenced documents are verified in turn, and
+ * referenced files must exist and match the size, sha256 and signature recorded for them.
+ * Files of `dist/` that nothing references are reported as orphans, unless a `_build.js`
+ * script declared them as outputs.
+ */
+
+/** Files published for people rather than devices, which nothing references. */
+export const STANDALONE_FILES = ['index.html', 'changelog.md'];
+
+/**
+ * A problem found in `dist/`.
+ * @typedef {Object} VerifyIssue
+ * @property {string|null} document The document with the reference, relative to `dist/`.
+ * @property {string} path The path of the reference in the document (e.g. `releases[0].files[0]`).
+ * @property {string} message
+ */
+
+/**
+ * The result of verifying `dist/`.
+ * @typedef {Object} VerifyReport
+ * @property {number} documents The number of JSON documents verified.
+ * @property {number} files The number of other files verified.
+ * @property {VerifyIssue[]} errors
+ * @property {VerifyIssue[]} warnings
+ * @property {string[]} orphans The files nothing references, relative to `dist/`.
+ */
+
+/**
+ * Join a key path with a new key (or array index). Keys that are not identifiers (e.g. URLs)
+ * are quoted.
+ * @param {string} p
+ * @param {string|number} key
+ * @returns {string}
+ */
+function join(p, key) {
+    if (typeof key === 'number') {
+        return `${p}[${key}]`;
+    }
+    if (!/^[\w-]+$/.test(key)) {
+        return `${p}[${JSON.stringify(key)}]`;
+    }
+    return p ? `${p}.${key}` : key;
+}
+
+/**
+ * List the references (objects with a `url`) of a JSON document, with their key path.
+ * @param {*} value
+ * @param {string} p The key path of `value`.
+ * @param {{path: string, ref: Record}[]} result
+ * @returns {{path: string, ref: Record}[]}
+ */
+function references(value, p = '', result = []) {
+    if (Array.isArray(value)) {
+        value.forEach((v, i) => references(v, join(p, i), result));
+    } else if (value !== null && typeof value === 'object') {
+        if (typeof value.url === 'string') {
+            result.push({path: p, ref: value});
+        }
+        Object.entries(value).forEach(([k, v]) => references(v, join(p, k), result));
+    }
+    return result;
+}
+
+/**
+ * Verify a built `dist/`.
+ * @param {string} distRoot
+ * @param {crypto.KeyObject} publicKey The key to verify the `signature` of files with.
+ * @param {string[]} [published] Files and folders published besides the catalog (the
+ *        declared outputs of `_build.js` scripts), which are not orphans.
+ * @returns {Promise<VerifyReport>}
+ */
+export async function verifyBuild(distRoot, publicKey, published = []) {
+    distRoot = path.resolve(distRoot);
+    published = published.map(p => path.resolve(p));
+    const report = {documents: 0, files: 0, errors: [], warnings: [], orphans: []};
+    const rel = (p) => path.relative(distRoot, p).split(path.sep).join('/');
+    const referenced = new Set();
+    const hashes = new Map();
+    const pending = [path.join(distRoot, 'catalog.json')];
+
+    /**
+     * Check a file against what a document records for it.
+     * @param {string} fPath
+     * @param {Record} ref The reference, with its `size`, `sha256` and `signature` if any.
+     * @param {string} document
+     * @param {string} key
+     */
+    const checkFile = async (fPath, ref, document, key) => {
+        const error = (message) => report.errors.push({document, path: key, message});
+        const stat = await fs.stat(fPath).catch(() => null);
+        if (!stat?.isFile()) {
+            error(`${JSON.stringify(ref.url)} does not exist`);
+            return;
+        }
+        if (ref.size !== undefined && ref.size !== stat.size) {
+            error(`${JSON.stringify(ref.url)} is ${stat.size} bytes, ${ref.size} recorded`);
+        }
+        if (!hashes.has(fPath)) {
+            hashes.set(fPath, await hashFile(fPath));
+        }
+        if (ref.sha256 !== undefined && ref.sha256 !== hashes.get(fPath)) {
+            error(`${JSON.stringify(ref.url)} does not match the recorded sha256`);
+        }
+        if (ref.signature !== undefined
+            && !crypto.verify(null, await fs.readFile(fPath), publicKey, Buffer.from(ref.signature, 'base64'))) {
+            error(`${JSON.stringify(ref.url)} does not match its signature`);
+        }
+    };
+
+    /**
+     * Follow a reference of a document.
+     * @param {string} url
+     * @param {string} dir The folder of the document.
+     * @param {Record} ref
+     * @param {string} document
+     * @param {string} key
+     */
+    const follow = async (url, dir, ref, document, key) => {
+        if (isAbsoluteUrl(url)) {
+            report.warnings.push({document, path: key, message: `${JSON.stringify(url)} is absolute and was not checked`});
+            return;
+        }
+        const fPath = path.resolve(dir, url);
+        if (rel(fPath).startsWith('..')) {
+            report.errors.push({document, path: key, message: `${JSON.stringify(url)} is outside of dist/`});
+            return;
+        }
+
+        if (path.extname(fPath) === '.json' && !referenced.has(fPath)) {
+            pending.push(fPath);
+        } else if (!referenced.has(fPath)) {
+            report.files++;
+        }
+        referenced.add(fPath);
+        await checkFile(fPath, ref, document, key);
+    };
+
+    referenced.add(pending[0]);
+    while (pending.length > 0) {
+        const docPath = pending.shift();
+        const document = rel(docPath);
+        const dir = path.dirname(docPath);
+
+        let doc;
+        try {
+            doc = JSON.parse(await fs.readFile(docPath, 'utf8'));
+        } catch (e) {
+            // Missing documents are reported by the document referencing them.
+            if (e.code !== 'ENOENT') {
+                report.errors.push({document, path: '', message: `cannot be read: ${e.message}`});
+            }
+            continue;
+        }
+        report.documents++;
+
+        for (const {path: key, ref} of references(doc)) {
+            await follow(ref.url, dir, ref, document, key);
+        }
+
+        // The media of the games of a games database are paths relative to it.
+        for (const [i, g] of (Array.isArray(doc.games) ? doc.games : []).entries()) {
+            for (const [kind, url] of Object.entries(g.media ?? {})) {
+                await follow(url, dir, {url}, document, `games[${i}].media.${kind}`);
+            }
+        }
+
+        // The manifest lists every document, with URLs relative to the root.
+        if (path.basename(docPath) === MANIFEST_NAME && dir === distRoot) {
+            for (const [url, d] of Object.entries(doc.documents ?? {})) {
+                await follow(url, dir, {url, size: d.size, sha256: d.sha256}, document, join('documents', url));
+            }
+        }
+    }
+
+    // Signatures and compressed variants go with the files they are made from.
+    const variants = ['.sig', ...Object.values(ENCODINGS).map(e => e.extension)];
+    const standalone = new Set(STANDALONE_FILES.map(f => path.join(distRoot, f)));
+    const isPublished = (f) => standalone.has(f) || published.some(p => f === p || f.startsWith(p + path.sep));
+    const files = new Set(await listFiles(distRoot));
+    for (const f of files) {
+        const base = variants.reduce((p, ext) => p.endsWith(ext) ? p.slice(0, -ext.length) : p, f);
+        // Variants are only reported through the file they are made from.
+        if (base !== f && files.has(base)) {
+            continue;
+        }
+        if (!referenced.has(f) && !referenced.has(base) && !isPublished(f) && !isPublished(base)) {
+            report.orphans.push(rel(f));
+        }
+    }
+    report.orphans.sort();
+    for (const orphan of report.orphans) {
+        report.warnings.push({document: null, path: '', message: `${orphan} is not referenced by the catalog`});
+    }
+
+    return report;
+}
+
+/**
+ * Summarize a report for humans.
+ * @param {VerifyReport} report
+ * @returns {string}
+ */
+export function verifySummary(report) {
+    const line = (i) => `${i.document ? `${i.document}: ${i.path || '<root>'}: ` : ''}${i.message}`;
+    return [
+        `Verified ${report.documents} document(s) and ${report.files} file(s): `
+            + `${report.errors.length} error(s), ${report.warnings.length} warning(s).`,
+        ...report.errors.map(i => `  Error: ${line(i)}`),
+        ...report.warnings.map(i => `  Warning: ${line(i)}`),
+    ].join('\n');
+}
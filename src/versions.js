@@ -0,0 +1,161 @@
+/**
+ * Versions used in the catalog are either dates (`YYYYMMDD`, used by cores and databases)
+ * or semantic versions (`MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD]`, used by 1FPGA releases).
+ *
+ * An empty string or `"0"` means "no version" and is older than any other version. When
+ * comparing versions of different kinds, semantic versions are always older than dates.
+ */
+
+const DATE_RE = /^(?<year>\d{4})(?<month>\d{2})(?<day>\d{2})$/;
+const SEMVER_RE = /^(?<major>0|[1-9]\d*)\.(?<minor>0|[1-9]\d*)\.(?<patch>0|[1-9]\d*)(?:-(?<pre>[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+(?<build>[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+/**
+ * A parsed version.
+ * @typedef {Object} Version
+ * @property {'none'|'semver'|'date'} kind The kind of version.
+ * @property {number[]} parts The numeric parts of the version, most significant first.
+ * @property {(string|number)[]} pre The pre-release identifiers (semver only).
+ * @property {string} raw The original string.
+ */
+
+/** The order of each kind of version, when comparing versions of different kinds. */
+const KIND_ORDER = {none: 0, semver: 1, date: 2};
+
+/**
+ * Parse a version string.
+ * @param {string} version The version to parse.
+ * @returns {Version}
+ * @throws {Error} If the version is not a valid date or semantic version.
+ */
+export function parseVersion(version) {
+    if (typeof version !== 'string') {
+        throw new Error(`Invalid version ${JSON.stringify(version)}: expected a string.`);
+    }
+    if (version === '' || version === '0') {
+        return {kind: 'none', parts: [], pre: [], raw: version};
+    }
+
+    const date = DATE_RE.exec(version);
+    if (date) {
+        const [year, month, day] = [+date.groups.year, +date.groups.month, +date.groups.day];
+        if (month < 1 || month > 12 || day < 1 || day > 31) {
+            throw new Error(`Invalid version ${JSON.stringify(version)}: not a valid YYYYMMDD date.`);
+        }
+        return {kind: 'date', parts: [year, month, day], pre: [], raw: version};
+    }
+
+    const semver = SEMVER_RE.exec(version);
+    if (semver) {
+        const {major, minor, patch, pre} = semver.groups;
+        return {
+            kind: 'semver',
+            parts: [+major, +minor, +patch],
+            pre: pre ? pre.split('.').map(p => /^\d+$/.test(p) ? +p : p) : [],
+            raw: version,
+        };
+    }
+
+    throw new Error(`Invalid version ${JSON.stringify(version)}: expected a date (YYYYMMDD) or a semantic version (e.g. 1.2.3 or 1.2.3-beta.1).`);
+}
+
+/**
+ * Check whether a string is a valid version.
+ * @param {string} version
+ * @returns {boolean}
+ */
+export function isValidVersion(version) {
+    try {
+        parseVersion(version);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+/**
+ * Compare pre-release identifiers, following the semver precedence rules. A version
+ * without pre-release identifiers is newer than one with.
+ * @param {(string|number)[]} a
+ * @param {(string|number)[]} b
+ * @returns {number}
+ */
+function comparePre(a, b) {
+    if (a.length === 0 || b.length === 0) {
+        return b.length - a.length;
+    }
+
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const [x, y] = [a[i], b[i]];
+        if (x === y) {
+            continue;
+        }
+        if (typeof x === 'number' && typeof y === 'number') {
+            return x - y;
+        }
+        // Numeric identifiers always have lower precedence than alphanumeric ones.
+        if (typeof x === 'number') {
+            return -1;
+        }
+        if (typeof y === 'number') {
+            return 1;
+        }
+        return x < y ? -1 : 1;
+    }
+    return a.length - b.length;
+}
+
+/**
+ * Compare two versions.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Smaller than 0 if `a` is older than `b`, greater than 0 if `a` is newer
+ *                   than `b`, 0 if they are the same.
+ * @throws {Error} If either version cannot be parsed.
+ */
+export function compareVersions(a, b) {
+    const [va, vb] = [parseVersion(a), parseVersion(b)];
+    if (va.kind !== vb.kind) {
+        return KIND_ORDER[va.kind] - KIND_ORDER[vb.kind];
+    }
+
+    for (let i = 0; i < va.parts.length; i++) {
+        if (va.parts[i] !== vb.parts[i]) {
+            return va.parts[i] - vb.parts[i];
+        }
+    }
+    return comparePre(va.pre, vb.pre);
+}
+
+/**
+ * Return the maximum version of a list of versions. `undefined` and `null` entries are
+ * ignored.
+ * @param {(string|undefined|null)[]} versions
+ * @returns {string} The newest version, or `"0"` if there are none.
+ * @throws {Error} If any version cannot be parsed.
+ */
+export function maxVersion(versions) {
+    return versions
+        .filter(v => v !== undefined && v !== null)
+        .reduce((a, b) => compareVersions(a, b) >= 0 ? a : b, '0');
+}
+
+/**
+ * Sort a list of versions, oldest first.
+ * @param {string[]} versions
+ * @returns {string[]} A new sorted array.
+ */
+export function sortVersions(versions) {
+    return [...versions].sort(compareVersions);
+}
+
+/**
+ * Return today's date as a date version (`YYYYMMDD`).
+ * @param {Date} d The date to use, now by default.
+ * @returns {string}
+ */
+export function dateVersion(d = new Date()) {
+    const y = d.getFullYear();
+    const m = d.getMonth() + 1;
+    const day = d.getDate();
+    return `${y}${m < 10 ? '0' : ''}${m}${day < 10 ? '0' : ''}${day}`;
+}
@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {checkSystemCompat} from '../src/compat.js';
+
+const files = {extensions: new Set(['nes', 'fds']), bios: []};
+
+describe('checkSystemCompat', () => {
+    it('accepts extensions covered by the slots of any core of the system', () => {
+        const cores = {
+            'mister-nes': {slots: [{extensions: ['.NES']}]},
+            'mister-fds': {slots: [{extensions: ['fds']}]},
+        };
+        assert.equal(checkSystemCompat(files, cores), null);
+    });
+
+    it('reports extensions no slot of the cores accepts', () => {
+        const cores = {
+            'mister-nes': {slots: [{extensions: ['nes']}]},
+            'mister-other': {},
+        };
+        assert.match(checkSystemCompat(files, cores), /core\(s\) mister-nes accepts the extension\(s\) \.fds/);
+    });
+
+    it('does not check systems whose cores declare no slots', () => {
+        assert.equal(checkSystemCompat(files, {'mister-nes': {}}), null);
+    });
+});
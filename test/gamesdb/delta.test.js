@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import {after, before, describe, it} from 'node:test';
+import * as zlib from 'node:zlib';
+import {applyDelta, diffDatabases, sameContent} from '../../src/gamesdb/delta.js';
+import {fixtureDb, fixtureGames} from './fixtures/games-db.js';
+
+/**
+ * Create a fixture games database in a file, and close it.
+ * @param {Record[]} games
+ * @param {string} p
+ */
+async function writeFixtureDb(games, p) {
+    const db = await fixtureDb(games, p);
+    await new Promise(resolve => db.close(() => resolve()));
+}
+
+describe('diffDatabases', () => {
+    let dir;
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'delta-test-'));
+
+        // The new version renames a game, replaces another one and adds a third.
+        const games = await fixtureGames();
+        const newGames = games.map(g => ({...g}));
+        newGames[1].title = 'Super Mario USA';
+        newGames[1].fullname = 'Super Mario USA (Japan)';
+        newGames[3] = {fullname: 'Wario Woods (USA)', title: 'Wario Woods', originalTitle: null, tags: ['USA']};
+        newGames.push({fullname: 'Kirby\'s Adventure (USA)', title: 'Kirby\'s Adventure', originalTitle: null, tags: ['USA']});
+
+        await writeFixtureDb(games.slice(0, -1), path.join(dir, 'old.sqlite'));
+        await writeFixtureDb(newGames, path.join(dir, 'new.sqlite'));
+    });
+    after(() => fs.rm(dir, {recursive: true, force: true}));
+
+    it('produces a delta turning the old rows into the new ones', async () => {
+        const [oldPath, newPath] = [path.join(dir, 'old.sqlite'), path.join(dir, 'new.sqlite')];
+        assert.equal(await sameContent(oldPath, newPath), false);
+
+        const deltaPath = path.join(dir, 'delta.sql.gz');
+        await fs.writeFile(deltaPath, zlib.gzipSync(await diffDatabases(oldPath, newPath)));
+        await applyDelta(oldPath, deltaPath);
+        assert.equal(await sameContent(oldPath, newPath), true);
+    });
+
+    it('produces an empty delta for databases with the same rows', async () => {
+        const script = await diffDatabases(path.join(dir, 'new.sqlite'), path.join(dir, 'new.sqlite'));
+        assert.equal(script, 'BEGIN TRANSACTION;\nCOMMIT;\n');
+    });
+});
@@ -0,0 +1,40 @@
+import fs from 'node:fs/promises';
+import sqlite from 'sqlite3';
+import {searchRow, sortKey} from '../../../src/gamesdb/search.js';
+
+const SCHEMA = await fs.readFile(new URL('../../../src/gamesdb/schema.sql', import.meta.url), 'utf8');
+
+/**
+ * Read the games of `search-games.json`.
+ * @returns {Promise<Record[]>}
+ */
+export async function fixtureGames() {
+    return JSON.parse(await fs.readFile(new URL('./search-games.json', import.meta.url), 'utf8'));
+}
+
+/**
+ * Create a games database with the schema of the builder, holding the given games (as the
+ * builder would insert them, with ids starting at 1).
+ * @param {Record[]} games
+ * @param {string} filename The path of the database, in memory by default.
+ * @returns {Promise<sqlite.Database>} The open database.
+ */
+export async function fixtureDb(games, filename = ':memory:') {
+    const db = new sqlite.Database(filename);
+    const run = (query, params = []) => new Promise((resolve, reject) => {
+        db.run(query, params, e => e ? reject(e) : resolve());
+    });
+
+    await new Promise((resolve, reject) => {
+        db.exec(SCHEMA, e => e ? reject(e) : resolve());
+    });
+    for (const [i, g] of games.entries()) {
+        const id = i + 1;
+        await run('INSERT INTO GamesId (id, fullname, title, originalTitle, sortKey) VALUES (?, ?, ?, ?, ?)',
+            [id, g.fullname, g.title, g.originalTitle, sortKey(g.title ?? g.fullname)]);
+        const row = searchRow(g);
+        await run('INSERT INTO GamesSearch (rowid, title, originalTitle, fullname, tags, normalized) VALUES (?, ?, ?, ?, ?, ?)',
+            [id, row.title, row.originalTitle, row.fullname, row.tags, row.normalized]);
+    }
+    return db;
+}
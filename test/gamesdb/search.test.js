@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import {after, before, describe, it} from 'node:test';
+import {ftsQuery, normalizeTitle, searchGames, sortKey} from '../../src/gamesdb/search.js';
+import {fixtureDb, fixtureGames} from './fixtures/games-db.js';
+
+/**
+ * Search the fixture database and return the full names of the results, best first.
+ * @param {import('sqlite3').Database} db
+ * @param {string} query
+ * @returns {Promise<string[]>}
+ */
+async function search(db, query) {
+    return (await searchGames(db, query)).map(r => r.fullname);
+}
+
+describe('normalizeTitle', () => {
+    it('moves trailing articles, folds diacritics and removes punctuation', () => {
+        assert.equal(normalizeTitle('Legend of Zelda, The (USA)'), 'the legend of zelda usa');
+        assert.equal(normalizeTitle('Pokémon Puzzle League'), 'pokemon puzzle league');
+        assert.equal(normalizeTitle('Étoile Princesse'), 'etoile princesse');
+        assert.equal(normalizeTitle('Zelda II - The Adventure of Link'), 'zelda ii the adventure of link');
+    });
+});
+
+describe('sortKey', () => {
+    it('ignores leading articles and sorts numbers naturally', () => {
+        assert.equal(sortKey('Legend of Zelda, The'), 'legend of zelda');
+        assert.ok(sortKey('Mega Man 9') < sortKey('Mega Man 10'));
+    });
+});
+
+describe('ftsQuery', () => {
+    it('matches words as prefixes and numerals in both forms', () => {
+        assert.equal(ftsQuery('Mario 3'), '"mario"* AND ("3" OR "iii")');
+        assert.equal(ftsQuery('  ,.  '), null);
+    });
+});
+
+describe('searchGames', () => {
+    let db;
+    before(async () => {
+        db = await fixtureDb(await fixtureGames());
+    });
+    after(() => new Promise(resolve => db.close(() => resolve())));
+
+    it('finds games by arabic or roman numerals, either way', async () => {
+        for (const query of ['Mario 3', 'mario iii', 'MARIO BROS. III']) {
+            assert.deepEqual(await search(db, query), ['Super Mario Bros. 3 (USA) (Rev 1)'], query);
+        }
+        assert.deepEqual(await search(db, 'final fantasy 3'), ['Final Fantasy III (Japan)']);
+        assert.deepEqual(await search(db, 'zelda 2'), ['Zelda II - The Adventure of Link (USA)']);
+    });
+
+    it('matches partial words, whatever the case and punctuation', async () => {
+        assert.deepEqual(await search(db, 'super-mar bro 2'), ['Super Mario Bros. 2 (USA)']);
+        assert.deepEqual(await search(db, 'dr mario'), ['Dr. Mario (Japan, USA)']);
+    });
+
+    it('ranks matches in titles before matches in tags', async () => {
+        const results = await search(db, 'etoile');
+        assert.deepEqual(results, ['Étoile Princesse (Japan)', 'Puzzle Bobble (Japan) [Etoile hack]']);
+    });
+
+    it('ranks closer title matches first', async () => {
+        const results = await search(db, 'mario');
+        assert.equal(results.length, 5);
+        assert.ok(!results.includes('Mega Man 3 (USA)'));
+        assert.ok(results.indexOf('Dr. Mario (Japan, USA)') < results.indexOf('Super Mario Bros. 3 (USA) (Rev 1)'));
+    });
+
+    it('folds diacritics in titles and queries', async () => {
+        const expected = ['Pokemon Trading Card Game (Europe)', 'Pokémon Puzzle League (USA)'].sort();
+        assert.deepEqual((await search(db, 'pokemon')).sort(), expected);
+        assert.deepEqual((await search(db, 'pokémon')).sort(), expected);
+        assert.deepEqual(await search(db, 'ETOILE princ'), ['Étoile Princesse (Japan)']);
+    });
+
+    it('finds games with a leading or trailing article either way', async () => {
+        assert.equal((await search(db, 'the legend of zelda'))[0], 'Legend of Zelda, The (USA)');
+        assert.equal((await search(db, 'legend zelda'))[0], 'Legend of Zelda, The (USA)');
+    });
+
+    it('finds games by their original title', async () => {
+        assert.deepEqual(await search(db, 'ゼルダの伝説'), ['Legend of Zelda, The (USA)']);
+    });
+
+    it('returns nothing for empty queries', async () => {
+        assert.deepEqual(await search(db, ' - '), []);
+    });
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import * as crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import {after, before, describe, it} from 'node:test';
+import {calculateSignature, loadSigningKey, MANIFEST_NAME, writeManifest} from '../src/signing.js';
+
+/**
+ * The sha256 of a buffer, in hexadecimal.
+ * @param {Buffer|string} data
+ * @returns {string}
+ */
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+describe('writeManifest', () => {
+    // A throwaway keypair, standing in for the official one.
+    const {publicKey, privateKey} = crypto.generateKeyPairSync('ed25519');
+    const core = Buffer.from('core');
+    const catalog = JSON.stringify({cores: {url: './cores.json'}});
+    const cores = JSON.stringify({'mister-nes': {url: './cores/nes.rbf', size: core.length, sha256: sha256(core)}});
+
+    let dir;
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'signing-test-'));
+        await fs.mkdir(path.join(dir, 'cores'));
+        await fs.writeFile(path.join(dir, 'catalog.json'), catalog);
+        await fs.writeFile(path.join(dir, 'cores.json'), cores);
+        await fs.writeFile(path.join(dir, 'cores', 'nes.rbf'), core);
+    });
+    after(() => fs.rm(dir, {recursive: true, force: true}));
+
+    it('lists every JSON document with its hash and the files it references', async () => {
+        const manifestPath = await writeManifest(dir, null);
+        const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+
+        assert.equal(path.basename(manifestPath), MANIFEST_NAME);
+        assert.deepEqual(manifest, {
+            signed: false,
+            documents: {
+                './catalog.json': {size: catalog.length, sha256: sha256(catalog), files: []},
+                './cores.json': {
+                    size: cores.length,
+                    sha256: sha256(cores),
+                    files: [{url: './cores/nes.rbf', size: core.length, sha256: sha256(core)}],
+                },
+            },
+        });
+        assert.equal(await calculateSignature(manifestPath, publicKey), null);
+    });
+
+    it('signs every JSON document and the manifest with the private key', async () => {
+        const manifestPath = await writeManifest(dir, privateKey);
+        assert.equal(JSON.parse(await fs.readFile(manifestPath, 'utf8')).signed, true);
+
+        for (const p of [manifestPath, path.join(dir, 'catalog.json'), path.join(dir, 'cores.json')]) {
+            const sig = await fs.readFile(`${p}.sig`);
+            assert.ok(crypto.verify(null, await fs.readFile(p), publicKey, sig), p);
+            assert.equal(await calculateSignature(p, publicKey), sig.toString('base64'));
+        }
+        await assert.rejects(fs.access(path.join(dir, 'cores', 'nes.rbf.sig')));
+
+        // Another key doesn't verify the signatures.
+        const other = crypto.generateKeyPairSync('ed25519').publicKey;
+        await assert.rejects(calculateSignature(manifestPath, other), /Could not validate signature/);
+    });
+});
+
+describe('loadSigningKey', () => {
+    it('rejects a signing key that does not match the public key', async () => {
+        const {privateKey} = crypto.generateKeyPairSync('ed25519');
+        const {publicKey} = crypto.generateKeyPairSync('ed25519');
+        process.env.ONEFPGA_SIGNING_KEY = privateKey.export({type: 'pkcs8', format: 'pem'});
+        try {
+            await assert.rejects(loadSigningKey(publicKey), /does not match the public key/);
+            assert.ok((await loadSigningKey(crypto.createPublicKey(privateKey))).equals(privateKey));
+        } finally {
+            delete process.env.ONEFPGA_SIGNING_KEY;
+        }
+    });
+});
@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+import {danglingTags, resolveTags, tagConflicts} from '../src/tags.js';
+
+const file = {url: './core.rbf'};
+
+describe('tagConflicts', () => {
+    it('reports every release carrying an exclusive tag after the first', () => {
+        const releases = [
+            {version: '20240101', tags: ['lts']},
+            {version: '20240201', tags: ['lts', 'nightly']},
+            {version: '20240301', tags: ['lts', 'latest']},
+        ];
+        assert.deepEqual(tagConflicts(releases).map(i => i.path), ['[1].tags', '[2].tags']);
+        assert.match(tagConflicts(releases)[0].message, /"lts" is on more than one release \(20240101, 20240201, 20240301\)/);
+    });
+
+    it('accepts non-exclusive tags on several releases', () => {
+        assert.deepEqual(tagConflicts([{version: '1.0.0', tags: ['nightly']}, {version: '1.1.0', tags: ['nightly']}]), []);
+    });
+});
+
+describe('resolveTags', () => {
+    it('resolves every tag to the highest version carrying it', () => {
+        const releases = [
+            {version: '1.10.0', tags: ['nightly']},
+            {version: '1.9.0', tags: ['nightly', 'latest']},
+        ];
+        assert.deepEqual(resolveTags(releases), {nightly: '1.10.0', latest: '1.9.0'});
+    });
+});
+
+describe('danglingTags', () => {
+    const releases = [
+        {version: '20240101', tags: ['lts'], files: [file]},
+        {version: '20240201', tags: ['beta'], files: []},
+        {version: '20240301', tags: ['latest'], files: [file]},
+    ];
+
+    it('reports tags pointing to pruned releases or releases without files', () => {
+        const issues = danglingTags(resolveTags(releases), releases, releases.slice(1));
+        assert.deepEqual(issues.map(i => i.path), ['[0].tags', '[1].tags']);
+        assert.match(issues[0].message, /"lts" points to release 20240101, which is not published/);
+        assert.match(issues[1].message, /"beta" points to release 20240201, which has no files/);
+    });
+
+    it('accepts tags pointing to published releases', () => {
+        const published = [releases[0], releases[2]];
+        assert.deepEqual(danglingTags(resolveTags(published), published, published), []);
+    });
+});